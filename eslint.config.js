@@ -0,0 +1,31 @@
+const js = require('@eslint/js');
+const globals = require('globals');
+
+module.exports = [
+  js.configs.recommended,
+  {
+    files: ['src/**/*.js', 'test/**/*.js'],
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'module',
+      globals: {
+        ...globals.browser,
+        // Injected by webpack's DefinePlugin
+        process: 'readonly',
+        // Installed by SES lockdown (src/installLockdownSES.js)
+        harden: 'readonly',
+        lockdown: 'readonly',
+      },
+    },
+    rules: {
+      // `catch (error)` is kept even when the error is not used
+      'no-unused-vars': ['error', { caughtErrors: 'none' }],
+    },
+  },
+  {
+    files: ['test/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
+];
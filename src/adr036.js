@@ -0,0 +1,214 @@
+/**
+ * ADR-036 Proofs
+ *
+ * SIGN_DATA signs arbitrary data as an ADR-036 Amino document and returns
+ * a proof that carries everything needed to check it later:
+ *
+ *   { version, signer, pubKey, data, chainId, signature }
+ *
+ * `data` is the base64 the wallet actually signed, `pubKey` and
+ * `signature` are base64 too. verifyADR036Proof rebuilds the sign doc
+ * and checks the signature offline. It is pure (no wallet, no network),
+ * so backends and tests can use it directly.
+ *
+ * ADR-036 documents have an empty chain_id: `chainId` records where the
+ * data was signed but is not covered by the signature.
+ */
+
+import {
+  makeSignDoc,
+  pubkeyToAddress,
+  serializeSignDoc,
+} from "@cosmjs/amino";
+import { Secp256k1, Secp256k1Signature, sha256 } from "@cosmjs/crypto";
+import { fromBase64, fromBech32, toBase64, toUtf8 } from "@cosmjs/encoding";
+
+export const ADR036_PROOF_VERSION = 1;
+
+export const SIGNATURE_ERRORS = {
+  INVALID_PROOF: "INVALID_PROOF",
+  UNSUPPORTED_PROOF_VERSION: "UNSUPPORTED_PROOF_VERSION",
+  PUBKEY_MISMATCH: "PUBKEY_MISMATCH",
+  ADDRESS_MISMATCH: "ADDRESS_MISMATCH",
+  DATA_MISMATCH: "DATA_MISMATCH",
+  INVALID_SIGNATURE: "INVALID_SIGNATURE",
+};
+
+const SECP256K1_PUBKEY_TYPE = "tendermint/PubKeySecp256k1";
+
+/**
+ * @typedef {Object} ADR036Proof
+ * @property {number} version - ADR036_PROOF_VERSION
+ * @property {string} signer - Bech32 address of the signer
+ * @property {string} pubKey - Compressed secp256k1 public key, base64
+ * @property {string} data - Signed data, base64
+ * @property {string} chainId - Chain the wallet signed on (not signed itself)
+ * @property {string} signature - 64-byte r || s signature, base64
+ */
+
+/**
+ * @typedef {Object} VerificationResult
+ * @property {boolean} valid
+ * @property {string} [signer] - Verified signer address
+ * @property {string} [code] - One of SIGNATURE_ERRORS when not valid
+ * @property {string} [message]
+ */
+
+/**
+ * Build the ADR-036 sign doc for arbitrary data
+ *
+ * @param {string | Uint8Array} data - Data to sign; strings are UTF-8 encoded
+ * @param {string} signer - Signer address
+ * @returns {Object} Amino StdSignDoc
+ */
+export function makeADR036AminoDoc(data, signer) {
+  return makeSignDoc(
+    [
+      {
+        type: "sign/MsgSignData",
+        value: {
+          signer,
+          data: toBase64(typeof data === "string" ? toUtf8(data) : data),
+        },
+      },
+    ],
+    { gas: "0", amount: [] },
+    "",
+    undefined,
+    0,
+    0
+  );
+}
+
+/**
+ * Turn a wallet's signAmino response into a proof
+ *
+ * @param {Object} params
+ * @param {string} params.chainId
+ * @param {{ signed: Object, signature: Object }} params.signResponse - From adapter.signArbitrary
+ * @returns {ADR036Proof}
+ */
+export function makeADR036Proof({ chainId, signResponse }) {
+  const { signed, signature } = signResponse;
+  // Taken from the signed doc, so the proof holds exactly what was signed
+  const { signer, data } = signed.msgs[0].value;
+
+  return {
+    version: ADR036_PROOF_VERSION,
+    signer,
+    pubKey: signature.pub_key.value,
+    data,
+    chainId,
+    signature: signature.signature,
+  };
+}
+
+/**
+ * Decode base64, rejecting anything that does not round-trip
+ * @param {*} value
+ * @returns {Uint8Array | null}
+ */
+function decodeCanonicalBase64(value) {
+  if (typeof value !== "string") {
+    return null;
+  }
+  try {
+    const bytes = fromBase64(value);
+    return toBase64(bytes) === value ? bytes : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Verify an ADR-036 proof offline
+ *
+ * Checks that the public key belongs to the signer address and that the
+ * signature covers the data. Pass `address` and/or `data` to also require
+ * a particular signer and message (e.g. the login nonce).
+ *
+ * @param {ADR036Proof} proof
+ * @param {Object} [expected]
+ * @param {string} [expected.address] - Required signer address
+ * @param {string} [expected.data] - Required message, as signed (UTF-8)
+ * @returns {Promise<VerificationResult>}
+ */
+export async function verifyADR036Proof(proof, { address, data } = {}) {
+  const invalid = (code, message) => ({ valid: false, code, message });
+
+  if (!proof || typeof proof !== "object") {
+    return invalid(SIGNATURE_ERRORS.INVALID_PROOF, "Proof must be an object");
+  }
+  if (proof.version !== ADR036_PROOF_VERSION) {
+    return invalid(
+      SIGNATURE_ERRORS.UNSUPPORTED_PROOF_VERSION,
+      `Unsupported proof version: ${proof.version}`
+    );
+  }
+
+  const pubKey = decodeCanonicalBase64(proof.pubKey);
+  const dataBytes = decodeCanonicalBase64(proof.data);
+  const signatureBytes = decodeCanonicalBase64(proof.signature);
+  if (!pubKey || pubKey.length !== 33) {
+    return invalid(
+      SIGNATURE_ERRORS.INVALID_PROOF,
+      "pubKey must be a base64 compressed secp256k1 key"
+    );
+  }
+  if (!dataBytes) {
+    return invalid(SIGNATURE_ERRORS.INVALID_PROOF, "data must be base64");
+  }
+  if (!signatureBytes || signatureBytes.length !== 64) {
+    return invalid(
+      SIGNATURE_ERRORS.INVALID_PROOF,
+      "signature must be a base64 64-byte signature"
+    );
+  }
+
+  let prefix;
+  try {
+    ({ prefix } = fromBech32(proof.signer));
+  } catch (error) {
+    return invalid(
+      SIGNATURE_ERRORS.INVALID_PROOF,
+      "signer must be a bech32 address"
+    );
+  }
+
+  const keyAddress = pubkeyToAddress(
+    { type: SECP256K1_PUBKEY_TYPE, value: proof.pubKey },
+    prefix
+  );
+  if (keyAddress !== proof.signer) {
+    return invalid(
+      SIGNATURE_ERRORS.PUBKEY_MISMATCH,
+      `pubKey belongs to ${keyAddress}, not ${proof.signer}`
+    );
+  }
+  if (address !== undefined && address !== proof.signer) {
+    return invalid(
+      SIGNATURE_ERRORS.ADDRESS_MISMATCH,
+      `Signed by ${proof.signer}, expected ${address}`
+    );
+  }
+  if (data !== undefined && toBase64(toUtf8(data)) !== proof.data) {
+    return invalid(
+      SIGNATURE_ERRORS.DATA_MISMATCH,
+      "Signed data does not match the expected data"
+    );
+  }
+
+  const signDoc = makeADR036AminoDoc(dataBytes, proof.signer);
+  const valid = await Secp256k1.verifySignature(
+    Secp256k1Signature.fromFixedLength(signatureBytes),
+    sha256(serializeSignDoc(signDoc)),
+    pubKey
+  );
+
+  return valid
+    ? { valid: true, signer: proof.signer }
+    : invalid(
+        SIGNATURE_ERRORS.INVALID_SIGNATURE,
+        "Signature does not match the data and pubKey"
+      );
+}
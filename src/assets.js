@@ -0,0 +1,125 @@
+/**
+ * Asset Registry
+ *
+ * Maps bank denoms to agoricNames brands and decimals, from
+ * published.agoricNames.vbankAsset:
+ *
+ *   [denom, { brand, denom, issuerName, displayInfo: { decimalPlaces } }]
+ *
+ * BLD and IST are known before the first vbankAsset update arrives.
+ */
+
+import { VALIDATION_ERRORS } from "./validation.js";
+
+// Brands
+export const BLD = {
+  brandKey: "BLD",
+  denom: "ubld",
+  decimals: 6,
+  brand: null,
+};
+
+export const IST = {
+  brandKey: "IST",
+  denom: "uist",
+  decimals: 6,
+  brand: null,
+};
+
+/**
+ * @typedef {Object} Asset
+ * @property {string} brandKey - agoricNames brand key (issuerName)
+ * @property {string} denom - Bank denom
+ * @property {number} decimals
+ * @property {any} brand - Brand presence; null until vbankAsset arrives
+ */
+
+let assets = [BLD, IST];
+
+/**
+ * Replace the registry with a published vbankAsset list
+ * @param {Array<[string, Object]>} entries
+ */
+export function setVbankAssets(entries) {
+  assets = entries.map(([denom, info]) => ({
+    brandKey: info.issuerName,
+    denom,
+    decimals: info.displayInfo?.decimalPlaces ?? 0,
+    brand: info.brand,
+  }));
+}
+
+/**
+ * List every known asset
+ * @returns {Asset[]}
+ */
+export function listAssets() {
+  return assets;
+}
+
+/**
+ * Find an asset by bank denom
+ * @param {string} denom
+ * @returns {Asset | null}
+ */
+export function getAssetByDenom(denom) {
+  return assets.find((asset) => asset.denom === denom) || null;
+}
+
+/**
+ * Find an asset by agoricNames brand key
+ * @param {string} brandKey
+ * @returns {Asset | null}
+ */
+export function getAssetByBrandKey(brandKey) {
+  return assets.find((asset) => asset.brandKey === brandKey) || null;
+}
+
+/**
+ * Format an amount in the smallest unit for display
+ *
+ * formatAmount("1500000", 6) === "1.5"
+ *
+ * @param {string | bigint} value
+ * @param {number | null} decimals
+ * @returns {string | null} null when decimals are unknown
+ */
+export function formatAmount(value, decimals) {
+  if (decimals === null || decimals === undefined) {
+    return null;
+  }
+
+  const amount = BigInt(value);
+  // No bigint literals or **: Babel targets browsers that predate them
+  const unit = BigInt(`1${"0".repeat(decimals)}`);
+  const whole = amount / unit;
+  const fraction = (amount % unit)
+    .toString()
+    .padStart(decimals, "0")
+    .replace(/0+$/, "");
+
+  return fraction ? `${whole}.${fraction}` : `${whole}`;
+}
+
+/**
+ * Convert a display amount to the smallest unit
+ *
+ * parseDisplayAmount("1.5", 6) === 1500000n
+ *
+ * @param {string} field - Parameter name (for the error message)
+ * @param {string} display - Decimal string, e.g. "1.5"
+ * @param {number} decimals
+ * @returns {bigint}
+ */
+export function parseDisplayAmount(field, display, decimals) {
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(String(display));
+  if (!match || (match[2] || "").length > decimals) {
+    throw {
+      code: VALIDATION_ERRORS.INVALID_AMOUNT,
+      message: `${field} must be a decimal with at most ${decimals} places: ${display}`,
+    };
+  }
+
+  const [, whole, fraction = ""] = match;
+  return BigInt(`${whole}${fraction.padEnd(decimals, "0")}`);
+}
@@ -0,0 +1,55 @@
+/**
+ * Balances
+ *
+ * Bank balances come from the Cosmos REST endpoint; smart-wallet purse
+ * balances come from the wallet record. Amounts are returned in the
+ * smallest unit (as strings) and formatted with the asset's decimals.
+ */
+
+import { formatAmount, getAssetByDenom } from "./assets.js";
+import { fetchRest } from "./endpoints.js";
+
+export const BALANCE_ERRORS = {
+  BALANCE_QUERY_FAILED: "BALANCE_QUERY_FAILED",
+};
+
+/**
+ * @typedef {Object} AssetBalance
+ * @property {string | null} denom - Bank denom, null for non-vbank purses
+ * @property {string | null} brand - agoricNames brand key, if known
+ * @property {string} amount - Amount in the smallest unit
+ * @property {number | null} decimals
+ * @property {string | null} formatted - Amount in display units
+ */
+
+/**
+ * Fetch the bank balances of an address
+ *
+ * @param {string[]} restEndpoints
+ * @param {string} address
+ * @returns {Promise<AssetBalance[]>}
+ */
+export async function fetchBankBalances(restEndpoints, address) {
+  const response = await fetchRest(
+    restEndpoints,
+    `/cosmos/bank/v1beta1/balances/${address}?pagination.limit=1000`
+  );
+  if (!response.ok) {
+    throw {
+      code: BALANCE_ERRORS.BALANCE_QUERY_FAILED,
+      message: `Balance query failed with HTTP ${response.status}`,
+    };
+  }
+
+  const { balances = [] } = await response.json();
+  return balances.map(({ denom, amount }) => {
+    const asset = getAssetByDenom(denom);
+    return {
+      denom,
+      brand: asset?.brandKey || null,
+      amount,
+      decimals: asset?.decimals ?? null,
+      formatted: formatAmount(amount, asset?.decimals),
+    };
+  });
+}
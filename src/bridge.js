@@ -0,0 +1,325 @@
+/**
+ * Parent Window Bridge
+ *
+ * Owns every message that crosses the iframe boundary: the origin
+ * allowlist, the handshake that pins a single parent origin, and
+ * routing of replies back to that origin only.
+ *
+ * Handshake:
+ * 1. Sandbox posts AGORIC_READY to each allowed origin (the browser
+ *    drops it unless the parent actually has that origin)
+ * 2. Parent sends AGORIC_HANDSHAKE
+ * 3. Sandbox pins event.origin and answers AGORIC_HANDSHAKE_ACK
+ * 4. Commands are accepted from the pinned origin only
+ *
+ * Port session (preferred):
+ * 5. Parent sends AGORIC_CONNECT_PORT and transfers one end of a
+ *    MessageChannel
+ * 6. Sandbox answers AGORIC_PORT_CONNECTED on that port
+ * 7. All later commands, replies and events use the port. Window-level
+ *    commands are refused from then on, so other scripts on the parent
+ *    page can neither read nor inject traffic.
+ *
+ * Parents that never transfer a port keep using window.postMessage
+ * (legacy mode).
+ */
+
+import { BRIDGE_MESSAGES, BRIDGE_ERRORS } from "./protocol.js";
+
+// Used when the build does not provide AGORIC_ALLOWED_ORIGINS; the local
+// app is only trusted outside production builds
+const DEFAULT_ALLOWED_ORIGINS =
+  process.env.NODE_ENV === "production"
+    ? ["https://qstn.us"]
+    : ["https://qstn.us", "http://localhost:3000"];
+
+/**
+ * Read the trusted parent origins
+ *
+ * AGORIC_ALLOWED_ORIGINS is a comma-separated list injected at build time
+ * by webpack. It is deliberately not read from the iframe URL, since the
+ * framing page controls that.
+ *
+ * @returns {string[]} Allowed origins
+ */
+function getAllowedOrigins() {
+  const configured = process.env.AGORIC_ALLOWED_ORIGINS;
+  if (!configured) {
+    return DEFAULT_ALLOWED_ORIGINS;
+  }
+  return configured
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+}
+
+const bridge = {
+  allowedOrigins: getAllowedOrigins(),
+  pinnedOrigin: null,
+  port: null,
+  onCommand: null,
+  // AGORIC_READY payload, kept so a late handshake can be told about it
+  readyPayload: null,
+};
+
+/**
+ * Check whether an origin is in the allowlist
+ * @param {string} origin
+ * @returns {boolean}
+ */
+export function isAllowedOrigin(origin) {
+  return bridge.allowedOrigins.includes(origin);
+}
+
+/**
+ * Get the origin pinned by the handshake
+ * @returns {string | null}
+ */
+export function getPinnedOrigin() {
+  return bridge.pinnedOrigin;
+}
+
+/**
+ * Check whether a MessagePort session is active
+ * @returns {boolean}
+ */
+export function hasPortSession() {
+  return !!bridge.port;
+}
+
+/**
+ * Post a message to the parent window
+ *
+ * Uses the session port when one is connected. Otherwise messages are
+ * only ever delivered to the pinned origin; before the handshake there
+ * is nobody to talk to, so the message is dropped.
+ *
+ * @param {Object} message
+ * @returns {boolean} Whether the message was posted
+ */
+export function postToParent(message) {
+  if (bridge.port) {
+    bridge.port.postMessage(message);
+    return true;
+  }
+
+  if (!bridge.pinnedOrigin) {
+    console.warn(
+      "[Agoric Sandbox] No pinned parent origin, dropping message:",
+      message.type
+    );
+    return false;
+  }
+  window.parent.postMessage(message, bridge.pinnedOrigin);
+  return true;
+}
+
+/**
+ * Announce that the sandbox is ready
+ *
+ * Before the handshake the parent origin is unknown, so the announcement
+ * is addressed to every allowed origin in turn. The browser only delivers
+ * the one matching the real parent.
+ *
+ * @param {Object} [payload] - Extra fields to include in AGORIC_READY
+ */
+export function announceReady(payload = {}) {
+  const message = { type: BRIDGE_MESSAGES.READY, ...payload };
+  bridge.readyPayload = payload;
+
+  if (bridge.pinnedOrigin) {
+    postToParent(message);
+    return;
+  }
+
+  for (const origin of bridge.allowedOrigins) {
+    window.parent.postMessage(message, origin);
+  }
+}
+
+/**
+ * Reply to a sender that failed the origin checks
+ *
+ * The reply is addressed to the sender's own origin, so nothing is
+ * disclosed to anyone else.
+ */
+function rejectMessage(event, code, message) {
+  console.error(`[Agoric Sandbox] ${code}:`, event.origin, message);
+
+  // Opaque origins ("null") cannot be used as a postMessage target
+  if (!event.source || event.origin === "null") {
+    return;
+  }
+
+  try {
+    event.source.postMessage(
+      {
+        type: BRIDGE_MESSAGES.RESPONSE,
+        id: event.data?.id,
+        success: false,
+        error: { code, message },
+      },
+      event.origin
+    );
+  } catch (error) {
+    console.error("[Agoric Sandbox] Failed to send rejection:", error);
+  }
+}
+
+/**
+ * Pin the parent origin after a successful handshake
+ */
+function handleHandshake(event) {
+  if (bridge.pinnedOrigin && bridge.pinnedOrigin !== event.origin) {
+    rejectMessage(
+      event,
+      BRIDGE_ERRORS.ORIGIN_NOT_ALLOWED,
+      `Sandbox is already paired with ${bridge.pinnedOrigin}`
+    );
+    return;
+  }
+
+  bridge.pinnedOrigin = event.origin;
+  console.log(
+    "[Agoric Sandbox] Handshake complete, pinned origin:",
+    event.origin
+  );
+
+  postToParent({
+    type: BRIDGE_MESSAGES.HANDSHAKE_ACK,
+    id: event.data?.id,
+    origin: event.origin,
+    // Lets a parent that attached late skip waiting for AGORIC_READY
+    ready: !!bridge.readyPayload,
+    ...(bridge.readyPayload || {}),
+  });
+}
+
+/**
+ * Take over a MessagePort transferred by the parent
+ */
+function handleConnectPort(event) {
+  const [port] = event.ports || [];
+
+  if (!port) {
+    rejectMessage(
+      event,
+      BRIDGE_ERRORS.PORT_MISSING,
+      `${BRIDGE_MESSAGES.CONNECT_PORT} must transfer a MessagePort`
+    );
+    return;
+  }
+
+  // A second port would let another script on the parent page take over
+  if (bridge.port) {
+    port.close();
+    rejectMessage(
+      event,
+      BRIDGE_ERRORS.PORT_SESSION_ACTIVE,
+      "A port session is already active"
+    );
+    return;
+  }
+
+  bridge.port = port;
+  port.onmessage = (portEvent) => {
+    const message = portEvent.data;
+    if (!message || typeof message !== "object") {
+      return;
+    }
+    bridge.onCommand(message, postToParent);
+  };
+  port.onmessageerror = (portEvent) => {
+    console.error("[Agoric Sandbox] Undecodable port message:", portEvent);
+  };
+
+  console.log("[Agoric Sandbox] Port session connected");
+
+  postToParent({
+    type: BRIDGE_MESSAGES.PORT_CONNECTED,
+    id: event.data?.id,
+  });
+}
+
+/**
+ * Start listening for parent messages
+ *
+ * @param {(message: Object, respond: (reply: Object) => void) => void} onCommand
+ *   Called for every command that passed the origin checks
+ */
+export function listenToParent(onCommand) {
+  bridge.onCommand = onCommand;
+
+  window.addEventListener("message", (event) => {
+    const message = event.data;
+    if (!message || typeof message !== "object") {
+      return;
+    }
+
+    // Ignore our own outgoing messages (seen when not framed)
+    if (
+      message.type === BRIDGE_MESSAGES.RESPONSE ||
+      message.type === BRIDGE_MESSAGES.READY ||
+      message.type === BRIDGE_MESSAGES.HANDSHAKE_ACK ||
+      message.type === BRIDGE_MESSAGES.PORT_CONNECTED ||
+      message.type === BRIDGE_MESSAGES.EVENT
+    ) {
+      return;
+    }
+
+    if (event.source !== window.parent) {
+      console.warn(
+        "[Agoric Sandbox] Ignoring message from a window other than the parent"
+      );
+      return;
+    }
+
+    if (!isAllowedOrigin(event.origin)) {
+      rejectMessage(
+        event,
+        BRIDGE_ERRORS.ORIGIN_NOT_ALLOWED,
+        `Origin ${event.origin} is not allowed`
+      );
+      return;
+    }
+
+    if (message.type === BRIDGE_MESSAGES.HANDSHAKE) {
+      handleHandshake(event);
+      return;
+    }
+
+    if (!bridge.pinnedOrigin) {
+      rejectMessage(
+        event,
+        BRIDGE_ERRORS.HANDSHAKE_REQUIRED,
+        `Send ${BRIDGE_MESSAGES.HANDSHAKE} before any command`
+      );
+      return;
+    }
+
+    if (event.origin !== bridge.pinnedOrigin) {
+      rejectMessage(
+        event,
+        BRIDGE_ERRORS.ORIGIN_NOT_ALLOWED,
+        `Sandbox is paired with ${bridge.pinnedOrigin}`
+      );
+      return;
+    }
+
+    if (message.type === BRIDGE_MESSAGES.CONNECT_PORT) {
+      handleConnectPort(event);
+      return;
+    }
+
+    if (bridge.port) {
+      rejectMessage(
+        event,
+        BRIDGE_ERRORS.PORT_SESSION_ACTIVE,
+        "Commands must be sent on the session port"
+      );
+      return;
+    }
+
+    onCommand(message, postToParent);
+  });
+}
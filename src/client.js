@@ -0,0 +1,835 @@
+/**
+ * Agoric Sandbox Client
+ *
+ * Promise-based helper for the parent app. Creates (or attaches to) the
+ * sandbox iframe, performs the handshake, moves the session to a private
+ * MessageChannel and exposes one method per sandbox command.
+ *
+ * This module runs in the parent window. It must not import the Agoric
+ * SDK or SES - only the shared protocol constants.
+ *
+ * @example
+ * const sandbox = createSandboxClient({
+ *   src: "https://qstn-agoric-iframe.vercel.app/agoric-sandbox.html",
+ * });
+ * await sandbox.ready;
+ * const { address } = await sandbox.connectWallet({ network: "mainnet" });
+ */
+
+import {
+  BRIDGE_MESSAGES,
+  COMMANDS,
+  PROTOCOL_ERRORS,
+  PROTOCOL_VERSION,
+} from "./protocol.js";
+
+const DEFAULT_READY_TIMEOUT_MS = 30000;
+// Wallet prompts wait on the user, so commands get a generous default
+const DEFAULT_REQUEST_TIMEOUT_MS = 120000;
+
+export const CLIENT_ERRORS = {
+  TIMEOUT: "TIMEOUT",
+  ABORTED: "ABORTED",
+  DESTROYED: "DESTROYED",
+  UNKNOWN_ERROR: "UNKNOWN_ERROR",
+};
+
+/**
+ * @typedef {Object} SandboxError
+ * @property {string} code - Stable error code (see README "Error Codes")
+ * @property {string} message - Human-readable message
+ * @property {boolean} retryable - Whether sending the same request again may succeed
+ * @property {*} [details] - What the underlying wallet, chain or Zoe error said
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {number} [timeoutMs] - Reject with TIMEOUT after this long
+ * @property {AbortSignal} [signal] - Reject with ABORTED when aborted
+ * @property {string} [idempotencyKey] - Repeating a wallet command with the same key returns the first result
+ */
+
+/**
+ * @typedef {Object} ADR036Proof
+ * @property {number} version - Proof format version (1)
+ * @property {string} signer - Signer address
+ * @property {string} pubKey - Compressed secp256k1 public key, base64
+ * @property {string} data - Signed data, base64
+ * @property {string} chainId - Chain the data was signed on (not signed itself)
+ * @property {string} signature - 64-byte r || s signature, base64
+ */
+
+/**
+ * @typedef {Object} RestoreSessionResponse
+ * @property {boolean} restored
+ * @property {boolean} interactionRequired - Show a connect button and call connectWallet
+ * @property {"no_session" | "wallet_not_installed" | "unknown_network" | "not_enabled" | "rejected"} [reason] - Why nothing was restored
+ * @property {string} [address]
+ * @property {string} [network]
+ * @property {string} [walletType]
+ * @property {boolean} [addressChanged] - The user switched accounts since the last session
+ */
+
+/**
+ * @typedef {Object} AmountSpec
+ * @property {string} denom - Bank denom of an agoricNames vbank asset
+ * @property {string} [value] - Amount in the smallest unit
+ * @property {string} [displayValue] - Amount in display units (e.g., "1.5")
+ */
+
+/**
+ * @typedef {Object} OfferParams
+ * @property {string} surveyId - Survey identifier
+ * @property {Array} messages - Transaction messages for the contract
+ * @property {string} [denom] - Token denomination (e.g., "ubld"); with totalAmount, shorthand for give.Deposit
+ * @property {string} [totalAmount] - Amount in the smallest unit
+ * @property {Object<string, AmountSpec>} [give] - Zoe keyword to amount
+ * @property {Object<string, AmountSpec>} [want] - Zoe keyword to amount
+ */
+
+/**
+ * @typedef {Object} BatchResponse
+ * @property {boolean} success - Whether every survey was funded
+ * @property {number} offerId
+ * @property {Object} give - Summed deposit, by keyword
+ * @property {string | null} txHash
+ * @property {number | null} height
+ * @property {boolean} confirmed
+ * @property {Array<{ surveyId: string | null, success: boolean, give?: Object, error?: SandboxError }>} results - One entry per requested survey, in order
+ */
+
+/**
+ * @typedef {Object} ClaimParams
+ * @property {string} surveyId - Survey identifier
+ * @property {Array} messages - Transaction messages for the contract
+ * @property {Object<string, AmountSpec>} [want] - Reward the claim asks for
+ */
+
+/**
+ * @typedef {Object} ClaimResponse
+ * @property {boolean} success
+ * @property {number} offerId
+ * @property {Object<string, { denom: string | null, brand: string | null, value: string, formatted: string | null }>} payouts - What Zoe paid out, by keyword
+ * @property {string | null} txHash
+ * @property {number | null} height
+ * @property {boolean} confirmed
+ */
+
+/**
+ * @typedef {Object} InvokeParams
+ * @property {string} invitationMakerName - Must be in the sandbox's allowlist
+ * @property {Array} [invitationArgs]
+ * @property {Object} [offerArgs]
+ * @property {Object<string, AmountSpec>} [give]
+ * @property {Object<string, AmountSpec>} [want]
+ */
+
+/**
+ * @typedef {Object} InvokeResponse
+ * @property {boolean} success
+ * @property {number} offerId
+ * @property {string} status
+ * @property {Object<string, { denom: string | null, brand: string | null, value: string, formatted: string | null }>} payouts - What Zoe paid out, by keyword
+ * @property {*} result - The offer's result as plain data (bigints as strings)
+ * @property {string | null} txHash
+ * @property {number | null} height
+ * @property {boolean} confirmed
+ */
+
+/**
+ * @typedef {Object} OfferResponse
+ * @property {boolean} success
+ * @property {number} offerId - Id the offer was submitted with
+ * @property {Object<string, { denom: string, brand: string, value: string, formatted: string }>} [give] - What FUND_SURVEY paid
+ * @property {string | null} txHash - null when the transaction was not found
+ * @property {number | null} height
+ * @property {boolean} confirmed - Whether the offer's transaction was found
+ */
+
+/**
+ * @typedef {Object} AccountInfo
+ * @property {string} accountInvitationId - Offer id that created the kit; used as previousOffer
+ * @property {string} description - Invitation description
+ * @property {Object | null} customDetails - Invitation custom details
+ * @property {OfferRecord | { offerId: string }} creationOffer - Full record when created from this sandbox
+ * @property {boolean} live - Whether the creation offer is still live
+ * @property {Object<string, string>} topics - Storage paths the kit publishes to
+ * @property {Object<string, *>} published - Current value at each topic
+ */
+
+/**
+ * @typedef {Object} AssetBalance
+ * @property {string | null} denom - Bank denom, null for non-vbank purses
+ * @property {string | null} brand - agoricNames brand key, if known
+ * @property {string} amount - Amount in the smallest unit
+ * @property {number | null} decimals
+ * @property {string | null} formatted - Amount in display units
+ */
+
+/**
+ * @typedef {Object} AffordabilityResult
+ * @property {boolean} affordable - Whether amount plus fees can be paid
+ * @property {Array<{ denom: string, amount: string, formatted: string | null, available: string }>} required
+ * @property {Array<{ denom: string, amount: string, formatted: string | null }>} shortfall - Missing amount per denom
+ * @property {{ amount: Array<{ denom: string, amount: string }>, gas: string }} fee
+ */
+
+/**
+ * @typedef {Object} SimulationResult
+ * @property {string} command - The simulated command
+ * @property {true} valid - Invalid parameters reject instead
+ * @property {number} gasUsed - Simulated gas
+ * @property {number} gasMultiplier - Margin applied to gasUsed
+ * @property {{ amount: Array<{ denom: string, amount: string }>, gas: string }} fee
+ * @property {boolean} affordable - Whether amount plus fee can be paid
+ * @property {Array<{ denom: string, amount: string, formatted: string | null }>} shortfall
+ */
+
+/**
+ * @typedef {Object} OfferRecord
+ * @property {number} offerId
+ * @property {string | null} surveyId
+ * @property {string} address
+ * @property {string} network
+ * @property {"pending" | "accepted" | "refunded" | "error"} status
+ * @property {boolean} seated - Whether the wallet has seated the offer
+ * @property {number | null} fromHeight - Block height before submission
+ * @property {{ txHash: string, height: number } | null} tx
+ * @property {string | null} error
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ */
+
+/**
+ * @typedef {Object} ContractNames
+ * @property {string} [instanceName] - Key in published.agoricNames.instance
+ * @property {string} [invitationDescription] - Description of the invitation that creates an account kit
+ * @property {string} [publicInvitationMaker] - Public facet method that makes that invitation
+ */
+
+/**
+ * @typedef {Object} SandboxStatus
+ * @property {boolean} initialized
+ * @property {boolean} connected
+ * @property {string | null} address
+ * @property {string | null} walletType - Wallet in use ("keplr", "leap" or "cosmostation")
+ * @property {string[]} availableWallets - Wallets installed in the browser
+ * @property {boolean} hasBrands
+ * @property {boolean} hasInstance
+ * @property {ContractNames} contract - Contract names the sandbox uses
+ * @property {boolean} hasAccount
+ * @property {string | null} accountInvitationId
+ * @property {string[]} brandsAvailable
+ * @property {string | null} network
+ * @property {string[]} availableNetworks
+ * @property {{ rpc: Object | null, rest: Object | null }} endpoints - Active endpoints and their health
+ * @property {number} queuedRequests - Wallet commands waiting for their turn
+ */
+
+/**
+ * @typedef {Object} SandboxCapabilities
+ * @property {number} protocolVersion - Sandbox protocol version
+ * @property {string} sandboxVersion - Sandbox build version
+ * @property {string[]} capabilities - Supported command types
+ */
+
+/**
+ * Build an Error carrying a sandbox error code
+ * @param {string} code
+ * @param {string} message
+ * @param {*} [details]
+ * @param {boolean} [retryable]
+ * @returns {Error & SandboxError}
+ */
+function makeSandboxError(code, message, details, retryable = false) {
+  const error = new Error(message);
+  error.name = "SandboxError";
+  error.code = code;
+  error.retryable = retryable;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+}
+
+/**
+ * Turn the `error` field of an AGORIC_RESPONSE into an Error
+ * @param {SandboxError | undefined} error
+ * @returns {Error & SandboxError}
+ */
+export function decodeSandboxError(error) {
+  if (!error || typeof error !== "object") {
+    return makeSandboxError(
+      CLIENT_ERRORS.UNKNOWN_ERROR,
+      "An unknown error occurred"
+    );
+  }
+  const { code, message, retryable, details, ...rest } = error;
+  return makeSandboxError(
+    code || CLIENT_ERRORS.UNKNOWN_ERROR,
+    message || "An unknown error occurred",
+    details ?? (Object.keys(rest).length ? rest : undefined),
+    !!retryable
+  );
+}
+
+/**
+ * Create a client for the Agoric sandbox iframe
+ *
+ * @param {Object} options
+ * @param {HTMLIFrameElement} [options.iframe] - Existing sandbox iframe to attach to
+ * @param {string} [options.src] - Sandbox URL, used when creating the iframe
+ * @param {HTMLElement} [options.container] - Where to append a created iframe
+ * @param {boolean} [options.hidden=true] - Hide a created iframe
+ * @param {number} [options.readyTimeoutMs] - Max wait for the sandbox to be ready
+ * @param {number} [options.requestTimeoutMs] - Default per-command timeout
+ */
+export function createSandboxClient({
+  iframe,
+  src,
+  container = document.body,
+  hidden = true,
+  readyTimeoutMs = DEFAULT_READY_TIMEOUT_MS,
+  requestTimeoutMs = DEFAULT_REQUEST_TIMEOUT_MS,
+} = {}) {
+  if (!iframe && !src) {
+    throw new Error("Either iframe or src is required");
+  }
+
+  let frame = iframe;
+  const ownsFrame = !frame;
+  if (!frame) {
+    frame = document.createElement("iframe");
+    frame.src = src;
+    if (hidden) {
+      frame.style.display = "none";
+    }
+    container.appendChild(frame);
+  }
+
+  const sandboxOrigin = new URL(frame.src, window.location.href).origin;
+
+  const session = {
+    port: null,
+    portConnected: false,
+    sandboxReady: false,
+    /** @type {SandboxCapabilities | null} */
+    capabilities: null,
+    destroyed: false,
+    nextId: 0,
+    pending: new Map(),
+    /** @type {Map<string, Set<(data: *) => void>>} */
+    listeners: new Map(),
+  };
+
+  let resolveReady;
+  let rejectReady;
+  const ready = new Promise((resolve, reject) => {
+    resolveReady = resolve;
+    rejectReady = reject;
+  });
+  const readyTimer = setTimeout(() => {
+    rejectReady(
+      makeSandboxError(
+        CLIENT_ERRORS.TIMEOUT,
+        `Sandbox was not ready after ${readyTimeoutMs}ms`
+      )
+    );
+  }, readyTimeoutMs);
+
+  function settleReadyIfDone() {
+    if (session.portConnected && session.sandboxReady) {
+      clearTimeout(readyTimer);
+      resolveReady();
+    }
+  }
+
+  function recordCapabilities({ protocolVersion, sandboxVersion, capabilities }) {
+    if (!Array.isArray(capabilities)) {
+      return;
+    }
+    session.capabilities = { protocolVersion, sandboxVersion, capabilities };
+    if (protocolVersion !== PROTOCOL_VERSION) {
+      console.warn(
+        `[Agoric Sandbox Client] Protocol mismatch: client ${PROTOCOL_VERSION}, sandbox ${protocolVersion}`
+      );
+    }
+  }
+
+  function sendHandshake() {
+    if (!frame.contentWindow) {
+      return;
+    }
+    frame.contentWindow.postMessage(
+      { type: BRIDGE_MESSAGES.HANDSHAKE, protocolVersion: PROTOCOL_VERSION },
+      sandboxOrigin
+    );
+  }
+
+  function connectPort() {
+    if (session.port) {
+      return;
+    }
+
+    const channel = new MessageChannel();
+    channel.port1.onmessage = (event) => handleSandboxMessage(event.data);
+    frame.contentWindow.postMessage(
+      { type: BRIDGE_MESSAGES.CONNECT_PORT },
+      sandboxOrigin,
+      [channel.port2]
+    );
+    session.port = channel.port1;
+  }
+
+  function settleRequest(id, settle) {
+    const request = session.pending.get(id);
+    if (!request) {
+      return;
+    }
+    session.pending.delete(id);
+    request.cleanup();
+    settle(request);
+  }
+
+  function handleSandboxMessage(message) {
+    if (!message || typeof message !== "object") {
+      return;
+    }
+
+    switch (message.type) {
+      case BRIDGE_MESSAGES.READY:
+        session.sandboxReady = true;
+        recordCapabilities(message);
+        if (!session.port) {
+          sendHandshake();
+        }
+        settleReadyIfDone();
+        break;
+
+      case BRIDGE_MESSAGES.HANDSHAKE_ACK:
+        if (message.ready) {
+          session.sandboxReady = true;
+          recordCapabilities(message);
+        }
+        connectPort();
+        break;
+
+      case BRIDGE_MESSAGES.PORT_CONNECTED:
+        session.portConnected = true;
+        settleReadyIfDone();
+        break;
+
+      case BRIDGE_MESSAGES.RESPONSE:
+        // Uncorrelated failures are handshake rejections (e.g. origin not
+        // allowed); there is no point waiting for readiness after that
+        if (!message.success && !session.pending.has(message.id)) {
+          clearTimeout(readyTimer);
+          rejectReady(decodeSandboxError(message.error));
+          break;
+        }
+        settleRequest(message.id, (request) => {
+          if (message.success) {
+            request.resolve(message.data);
+          } else {
+            request.reject(decodeSandboxError(message.error));
+          }
+        });
+        break;
+
+      case BRIDGE_MESSAGES.EVENT:
+        for (const listener of session.listeners.get(message.event) || []) {
+          try {
+            listener(message.data);
+          } catch (error) {
+            console.error(
+              `[Agoric Sandbox Client] ${message.event} listener failed:`,
+              error
+            );
+          }
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  function handleWindowMessage(event) {
+    if (event.source !== frame.contentWindow) {
+      return;
+    }
+    if (event.origin !== sandboxOrigin) {
+      return;
+    }
+    handleSandboxMessage(event.data);
+  }
+
+  window.addEventListener("message", handleWindowMessage);
+
+  // An attached iframe may have announced readiness before we listened,
+  // so greet it directly; the handshake is idempotent on the sandbox side.
+  if (!ownsFrame) {
+    sendHandshake();
+  }
+
+  /**
+   * Send a command and wait for its response
+   *
+   * @param {string} type - Command type (see COMMANDS)
+   * @param {Object} [data] - Command payload
+   * @param {RequestOptions} [options]
+   * @returns {Promise<*>} Response data
+   */
+  async function request(
+    type,
+    data,
+    { timeoutMs, signal, idempotencyKey } = {}
+  ) {
+    if (session.destroyed) {
+      throw makeSandboxError(CLIENT_ERRORS.DESTROYED, "Client was destroyed");
+    }
+    if (signal?.aborted) {
+      throw makeSandboxError(CLIENT_ERRORS.ABORTED, `${type} was aborted`);
+    }
+
+    await ready;
+
+    // Fail fast instead of waiting for the sandbox to say the same thing
+    if (session.capabilities && !supports(type)) {
+      throw makeSandboxError(
+        PROTOCOL_ERRORS.UNSUPPORTED_COMMAND,
+        `Unsupported command: ${type}`
+      );
+    }
+
+    const id = `${type}-${Date.now()}-${++session.nextId}`;
+    const effectiveTimeout = timeoutMs ?? requestTimeoutMs;
+
+    // Queued wallet work the caller gave up on must not prompt later
+    const cancelInSandbox = () => {
+      if (!session.destroyed && supports(COMMANDS.CANCEL_REQUEST)) {
+        session.port.postMessage({
+          type: COMMANDS.CANCEL_REQUEST,
+          id: `${COMMANDS.CANCEL_REQUEST}-${Date.now()}-${++session.nextId}`,
+          data: { requestId: id },
+        });
+      }
+    };
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        settleRequest(id, (pending) =>
+          pending.reject(
+            makeSandboxError(CLIENT_ERRORS.ABORTED, `${type} was aborted`)
+          )
+        );
+        cancelInSandbox();
+      };
+      const timer = setTimeout(() => {
+        settleRequest(id, (pending) =>
+          pending.reject(
+            makeSandboxError(
+              CLIENT_ERRORS.TIMEOUT,
+              `${type} timed out after ${effectiveTimeout}ms`
+            )
+          )
+        );
+        cancelInSandbox();
+      }, effectiveTimeout);
+
+      session.pending.set(id, {
+        resolve,
+        reject,
+        cleanup: () => {
+          clearTimeout(timer);
+          signal?.removeEventListener("abort", onAbort);
+        },
+      });
+      signal?.addEventListener("abort", onAbort);
+
+      session.port.postMessage({
+        type,
+        id,
+        data,
+        ...(idempotencyKey !== undefined && { idempotencyKey }),
+      });
+    });
+  }
+
+  /**
+   * Listen for a sandbox event
+   *
+   * The first listener for a topic subscribes to it; removing the last
+   * one unsubscribes.
+   *
+   * @param {string} event - Event topic (see EVENTS)
+   * @param {(data: *) => void} listener
+   * @returns {() => void} Removes the listener
+   */
+  function on(event, listener) {
+    let listeners = session.listeners.get(event);
+    if (!listeners) {
+      listeners = new Set();
+      session.listeners.set(event, listeners);
+      request(COMMANDS.SUBSCRIBE, { topics: [event] }).catch((error) =>
+        console.error(
+          `[Agoric Sandbox Client] Failed to subscribe to ${event}:`,
+          error
+        )
+      );
+    }
+    listeners.add(listener);
+
+    return () => {
+      listeners.delete(listener);
+      if (listeners.size > 0 || session.listeners.get(event) !== listeners) {
+        return;
+      }
+      session.listeners.delete(event);
+      if (!session.destroyed) {
+        request(COMMANDS.UNSUBSCRIBE, { topics: [event] }).catch((error) =>
+          console.error(
+            `[Agoric Sandbox Client] Failed to unsubscribe from ${event}:`,
+            error
+          )
+        );
+      }
+    };
+  }
+
+  /**
+   * Check whether the sandbox supports a command
+   *
+   * Returns true until capabilities are known, so callers can degrade
+   * gracefully without waiting for `ready`.
+   *
+   * @param {string} type - Command type (see COMMANDS)
+   * @returns {boolean}
+   */
+  function supports(type) {
+    if (!session.capabilities) {
+      return true;
+    }
+    return session.capabilities.capabilities.includes(type);
+  }
+
+  /**
+   * Tear down the client
+   *
+   * Rejects every pending request, closes the port and removes the iframe
+   * if this client created it.
+   */
+  function destroy() {
+    if (session.destroyed) {
+      return;
+    }
+    session.destroyed = true;
+    clearTimeout(readyTimer);
+    rejectReady(
+      makeSandboxError(CLIENT_ERRORS.DESTROYED, "Client was destroyed")
+    );
+
+    for (const id of [...session.pending.keys()]) {
+      settleRequest(id, (pending) =>
+        pending.reject(
+          makeSandboxError(CLIENT_ERRORS.DESTROYED, "Client was destroyed")
+        )
+      );
+    }
+
+    session.listeners.clear();
+    window.removeEventListener("message", handleWindowMessage);
+    session.port?.close();
+    if (ownsFrame) {
+      frame.remove();
+    }
+  }
+
+  // Don't surface an unhandled rejection if nobody awaits `ready`
+  ready.catch(() => {});
+
+  return {
+    /** Resolves once the sandbox is ready and the port session is open */
+    ready,
+    iframe: frame,
+    request,
+    on,
+    supports,
+    destroy,
+
+    /** @returns {SandboxCapabilities | null} Capabilities announced by the sandbox */
+    get capabilities() {
+      return session.capabilities;
+    },
+
+    /**
+     * @param {{ network?: string, walletType?: "keplr" | "leap" | "cosmostation" }} [params]
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{ address: string, walletType: string }>}
+     */
+    connectWallet: (params = {}, options) =>
+      request(COMMANDS.CONNECT_WALLET, params, options),
+
+    /**
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{ disconnected: boolean, address: string | null }>}
+     */
+    disconnectWallet: (options) =>
+      request(COMMANDS.DISCONNECT_WALLET, undefined, options),
+
+    /**
+     * Reconnect the last session's wallet without prompting
+     * @param {RequestOptions} [options]
+     * @returns {Promise<RestoreSessionResponse>}
+     */
+    restoreSession: (options) =>
+      request(COMMANDS.RESTORE_SESSION, undefined, options),
+
+    /**
+     * @param {{ data: string }} params
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{ proof: ADR036Proof, signedData: Object, signature: Object }>}
+     */
+    signData: (params, options) =>
+      request(COMMANDS.SIGN_DATA, params, options),
+
+    /**
+     * Check a signData proof, optionally against an address and message
+     * @param {{ proof: ADR036Proof, address?: string, data?: string }} params
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{ valid: boolean, signer?: string, code?: string, message?: string }>}
+     */
+    verifySignature: (params, options) =>
+      request(COMMANDS.VERIFY_SIGNATURE, params, options),
+
+    /**
+     * @param {OfferParams} params
+     * @param {RequestOptions} [options]
+     * @returns {Promise<OfferResponse>}
+     */
+    fundSurvey: (params, options) =>
+      request(COMMANDS.FUND_SURVEY, params, options),
+
+    /**
+     * @param {{ surveys: OfferParams[] }} params
+     * @param {RequestOptions} [options]
+     * @returns {Promise<BatchResponse>}
+     */
+    fundSurveysBatch: (params, options) =>
+      request(COMMANDS.FUND_SURVEYS_BATCH, params, options),
+
+    /**
+     * @param {ClaimParams} params
+     * @param {RequestOptions} [options]
+     * @returns {Promise<ClaimResponse>}
+     */
+    claimRewards: (params, options) =>
+      request(COMMANDS.CLAIM_REWARDS, params, options),
+
+    /**
+     * @param {{ destinationAddress: string, amount: string, denom: string }} params
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{ success: boolean, txHash: string }>}
+     */
+    sponsorParticipantGas: (params, options) =>
+      request(COMMANDS.SPONSOR_PARTICIPANT_GAS, params, options),
+
+    /**
+     * @param {{ command: string, data: Object }} params - Command to dry-run and its parameters
+     * @param {RequestOptions} [options]
+     * @returns {Promise<SimulationResult>}
+     */
+    simulate: (params, options) =>
+      request(COMMANDS.SIMULATE, params, options),
+
+    /**
+     * @param {RequestOptions} [options]
+     * @returns {Promise<SandboxStatus>}
+     */
+    getStatus: (options) => request(COMMANDS.GET_STATUS, undefined, options),
+
+    /**
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{ address: string, hasAccount: boolean, account: AccountInfo | null }>}
+     */
+    getAccount: (options) =>
+      request(COMMANDS.GET_ACCOUNT, undefined, options),
+
+    /**
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{ address: string, accounts: AccountInfo[] }>}
+     */
+    listAccounts: (options) =>
+      request(COMMANDS.LIST_ACCOUNTS, undefined, options),
+
+    /**
+     * @param {{ force?: boolean }} [params]
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{ success: boolean, offerId: number, accountInvitationId: string | null, txHash: string | null, height: number | null, confirmed: boolean }>}
+     */
+    createAccount: (params = {}, options) =>
+      request(COMMANDS.CREATE_ACCOUNT, params, options),
+
+    /**
+     * @param {InvokeParams} params
+     * @param {RequestOptions} [options]
+     * @returns {Promise<InvokeResponse>}
+     */
+    invokeAccount: (params, options) =>
+      request(COMMANDS.INVOKE_ACCOUNT, params, options),
+
+    /**
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{ address: string, bank: AssetBalance[], purses: AssetBalance[] }>}
+     */
+    getBalances: (options) =>
+      request(COMMANDS.GET_BALANCES, undefined, options),
+
+    /**
+     * @param {{ totalAmount?: string, denom?: string, give?: Object<string, AmountSpec> }} params
+     * @param {RequestOptions} [options]
+     * @returns {Promise<AffordabilityResult>}
+     */
+    checkAffordability: (params, options) =>
+      request(COMMANDS.CHECK_AFFORDABILITY, params, options),
+
+    /**
+     * @param {{ offerId?: number, surveyId?: string }} params
+     * @param {RequestOptions} [options]
+     * @returns {Promise<OfferRecord>}
+     */
+    getOfferStatus: (params, options) =>
+      request(COMMANDS.GET_OFFER_STATUS, params, options),
+
+    /**
+     * @param {{ all?: boolean }} [params]
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{ offers: OfferRecord[] }>}
+     */
+    listPendingOffers: (params = {}, options) =>
+      request(COMMANDS.LIST_PENDING_OFFERS, params, options),
+
+    /**
+     * @param {RequestOptions} [options]
+     * @returns {Promise<SandboxCapabilities>}
+     */
+    getCapabilities: (options) =>
+      request(COMMANDS.GET_CAPABILITIES, undefined, options),
+
+    /**
+     * @param {{ network: string }} params
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{ network: string, address: string | null }>}
+     */
+    setNetwork: (params, options) =>
+      request(COMMANDS.SET_NETWORK, params, options),
+
+    /**
+     * @param {{ name: string, chainId: string, rpcEndpoint: string | string[], restEndpoint: string | string[], networkConfigHref: string, contract?: ContractNames }} params
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{ network: string, config: Object }>}
+     */
+    registerNetwork: (params, options) =>
+      request(COMMANDS.REGISTER_NETWORK, params, options),
+  };
+}
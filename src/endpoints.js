@@ -0,0 +1,221 @@
+/**
+ * Endpoint Health and Failover
+ *
+ * Each network lists several RPC and REST endpoints. They are probed for
+ * latest block height and latency; the best healthy one is used, and
+ * callers fail over to the next one when a request fails.
+ */
+
+const PROBE_TIMEOUT_MS = 5000;
+
+// An endpoint this many blocks behind the best one counts as stale
+const MAX_BLOCK_LAG = 5;
+
+export const ENDPOINT_ERRORS = {
+  NO_HEALTHY_ENDPOINT: "NO_HEALTHY_ENDPOINT",
+};
+
+/**
+ * @typedef {Object} EndpointHealth
+ * @property {string} url
+ * @property {boolean} healthy
+ * @property {number | null} height - Latest block height seen
+ * @property {number | null} latencyMs - Probe round-trip time
+ * @property {number | null} checkedAt - Probe timestamp (ms since epoch)
+ * @property {string | null} error - Why the last probe failed
+ */
+
+// Latest probe result per URL, shared by every network using the URL
+const healthByUrl = new Map();
+
+/**
+ * fetch() with a timeout
+ * @param {string} url
+ * @param {number} timeoutMs
+ */
+async function fetchWithTimeout(url, timeoutMs = PROBE_TIMEOUT_MS, init = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// How to read the latest block height from each endpoint kind
+const probes = {
+  rpc: {
+    path: "/status",
+    readHeight: (body) => body.result?.sync_info?.latest_block_height,
+  },
+  rest: {
+    path: "/cosmos/base/tendermint/v1beta1/blocks/latest",
+    readHeight: (body) => body.block?.header?.height,
+  },
+};
+
+/**
+ * Probe one endpoint
+ *
+ * @param {"rpc" | "rest"} kind
+ * @param {string} url
+ * @returns {Promise<EndpointHealth>}
+ */
+export async function probeEndpoint(kind, url) {
+  const { path, readHeight } = probes[kind];
+  const startedAt = performance.now();
+  let health;
+
+  try {
+    const response = await fetchWithTimeout(`${url}${path}`);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const height = parseInt(readHeight(await response.json()), 10);
+    if (!height) {
+      throw new Error("No block height in response");
+    }
+    health = {
+      url,
+      healthy: true,
+      height,
+      latencyMs: Math.round(performance.now() - startedAt),
+      checkedAt: Date.now(),
+      error: null,
+    };
+  } catch (error) {
+    health = {
+      url,
+      healthy: false,
+      height: null,
+      latencyMs: null,
+      checkedAt: Date.now(),
+      error: error.name === "AbortError" ? "Timed out" : error.message,
+    };
+  }
+
+  healthByUrl.set(url, health);
+  return health;
+}
+
+/**
+ * Get the last known health of an endpoint
+ * @param {string} url
+ * @returns {EndpointHealth}
+ */
+export function getEndpointHealth(url) {
+  return (
+    healthByUrl.get(url) || {
+      url,
+      healthy: true,
+      height: null,
+      latencyMs: null,
+      checkedAt: null,
+      error: null,
+    }
+  );
+}
+
+/**
+ * Mark an endpoint as failed after a request error
+ * @param {string} url
+ * @param {string} reason
+ */
+export function markEndpointFailed(url, reason) {
+  console.warn("[Agoric Sandbox] Endpoint failed:", url, reason);
+  healthByUrl.set(url, {
+    ...getEndpointHealth(url),
+    healthy: false,
+    checkedAt: Date.now(),
+    error: reason,
+  });
+}
+
+/**
+ * Order endpoints best first from the last probe results
+ *
+ * Healthy endpoints within MAX_BLOCK_LAG of the tallest come first,
+ * fastest first; stale ones next; failed ones last (still worth a try).
+ *
+ * @param {string[]} urls
+ * @returns {string[]}
+ */
+export function rankEndpoints(urls) {
+  const healths = urls.map(getEndpointHealth);
+  const bestHeight = Math.max(0, ...healths.map((h) => h.height || 0));
+
+  const score = (health) => {
+    if (!health.healthy) return 2;
+    if (health.height && bestHeight - health.height > MAX_BLOCK_LAG) return 1;
+    return 0;
+  };
+
+  return healths
+    .map((health, index) => ({ health, index }))
+    .sort(
+      (a, b) =>
+        score(a.health) - score(b.health) ||
+        (a.health.latencyMs ?? Infinity) - (b.health.latencyMs ?? Infinity) ||
+        a.index - b.index
+    )
+    .map(({ health }) => health.url);
+}
+
+/**
+ * Probe a list of endpoints and pick the best one
+ *
+ * @param {"rpc" | "rest"} kind
+ * @param {string[]} urls
+ * @returns {Promise<string>} Best endpoint URL
+ * @throws {{ code: "NO_HEALTHY_ENDPOINT", message: string }}
+ */
+export async function selectEndpoint(kind, urls) {
+  await Promise.all(urls.map((url) => probeEndpoint(kind, url)));
+
+  const [best] = rankEndpoints(urls);
+  if (!getEndpointHealth(best).healthy) {
+    throw {
+      code: ENDPOINT_ERRORS.NO_HEALTHY_ENDPOINT,
+      message: `No healthy ${kind.toUpperCase()} endpoint among: ${urls.join(
+        ", "
+      )}`,
+    };
+  }
+
+  console.log(`[Agoric Sandbox] Selected ${kind} endpoint:`, best);
+  return best;
+}
+
+/**
+ * GET a REST path, failing over across endpoints
+ *
+ * Network errors and 5xx responses move on to the next endpoint; other
+ * responses (including 4xx) are returned to the caller as-is.
+ *
+ * @param {string[]} urls - REST endpoints, tried best first
+ * @param {string} path - Path and query, starting with "/"
+ * @param {Object} [init] - fetch options, e.g. headers
+ * @returns {Promise<Response>}
+ */
+export async function fetchRest(urls, path, init) {
+  let lastError;
+
+  for (const url of rankEndpoints(urls)) {
+    try {
+      const response = await fetchWithTimeout(`${url}${path}`, 15000, init);
+      if (response.status >= 500) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return response;
+    } catch (error) {
+      lastError = error;
+      markEndpointFailed(url, error.message);
+    }
+  }
+
+  throw {
+    code: ENDPOINT_ERRORS.NO_HEALTHY_ENDPOINT,
+    message: `All REST endpoints failed: ${lastError?.message}`,
+  };
+}
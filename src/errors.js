@@ -0,0 +1,180 @@
+/**
+ * Error Taxonomy
+ *
+ * Wallet, chain and Zoe failures arrive as free-form errors. classifyError
+ * maps them to stable codes the parent can switch on:
+ *
+ *   { code: "INSUFFICIENT_FUNDS", message, retryable: false, details }
+ *
+ * `details` keeps what the original error said (plain data only, so it
+ * survives postMessage). Errors that already carry one of the sandbox's
+ * own codes keep it.
+ */
+
+export const ERROR_CODES = {
+  USER_REJECTED: "USER_REJECTED",
+  INSUFFICIENT_FUNDS: "INSUFFICIENT_FUNDS",
+  INSUFFICIENT_FEE: "INSUFFICIENT_FEE",
+  OUT_OF_GAS: "OUT_OF_GAS",
+  ACCOUNT_SEQUENCE_MISMATCH: "ACCOUNT_SEQUENCE_MISMATCH",
+  MEMPOOL_FULL: "MEMPOOL_FULL",
+  TX_TIMEOUT: "TX_TIMEOUT",
+  CHAIN_REJECTED: "CHAIN_REJECTED",
+  NETWORK_ERROR: "NETWORK_ERROR",
+  OFFER_REJECTED: "OFFER_REJECTED",
+  OFFER_REFUNDED: "OFFER_REFUNDED",
+  OFFER_OUTCOME_UNKNOWN: "OFFER_OUTCOME_UNKNOWN",
+};
+
+// Cosmos SDK ABCI codes (codespace "sdk") with a code of their own
+const SDK_CODES = {
+  5: ERROR_CODES.INSUFFICIENT_FUNDS,
+  11: ERROR_CODES.OUT_OF_GAS,
+  13: ERROR_CODES.INSUFFICIENT_FEE,
+  20: ERROR_CODES.MEMPOOL_FULL,
+  30: ERROR_CODES.TX_TIMEOUT,
+  32: ERROR_CODES.ACCOUNT_SEQUENCE_MISMATCH,
+};
+
+// Sending the same request again may succeed. Broadcast timeouts are
+// not here: the transaction may still land.
+const RETRYABLE_CODES = new Set([
+  ERROR_CODES.ACCOUNT_SEQUENCE_MISMATCH,
+  ERROR_CODES.MEMPOOL_FULL,
+  ERROR_CODES.NETWORK_ERROR,
+  "CHAIN_DATA_TIMEOUT",
+  "NO_HEALTHY_ENDPOINT",
+  "BALANCE_QUERY_FAILED",
+]);
+
+// Keplr: "Request rejected"; Leap and Cosmostation word it differently
+const USER_REJECTION_PATTERN =
+  /request rejected|rejected the request|user rejected|user denied|transaction declined|user cancel/i;
+
+// cosmjs BroadcastTxError: "... failed with code 5 (codespace: sdk). Log: ..."
+const ABCI_CODE_PATTERN = /code (\d+) \(codespace: ([\w-]+)\)/;
+
+/**
+ * @typedef {Object} ClassifiedError
+ * @property {string} code - Stable error code (see README "Error Codes")
+ * @property {string} message
+ * @property {boolean} retryable - Whether sending the same request again may succeed
+ * @property {Object} [details] - What the original error said
+ */
+
+/**
+ * Extract error message from various error formats
+ */
+export function getErrorMessage(error) {
+  // Handle Error objects
+  if (error instanceof Error) {
+    return error.message;
+  }
+
+  // Handle error objects with message property
+  if (error && typeof error === "object" && "message" in error) {
+    return error.message;
+  }
+
+  // Handle string errors
+  if (typeof error === "string") {
+    return error;
+  }
+
+  // Try to stringify as last resort, but handle circular references
+  try {
+    const stringified = JSON.stringify(error);
+    // Don't return empty object or null
+    if (stringified === "{}" || stringified === "null") {
+      return String(error);
+    }
+    return stringified;
+  } catch (e) {
+    return String(error);
+  }
+}
+
+/**
+ * Read the ABCI code and codespace of a failed transaction, if any
+ * @param {*} error
+ * @param {string} message
+ * @returns {{ abciCode: number, codespace: string } | null}
+ */
+function readAbciCode(error, message) {
+  // BroadcastTxError and DeliverTxResponse carry them as fields
+  if (typeof error?.code === "number" && error.code !== 0) {
+    return { abciCode: error.code, codespace: error.codespace || "sdk" };
+  }
+  const match = ABCI_CODE_PATTERN.exec(message);
+  return match ? { abciCode: Number(match[1]), codespace: match[2] } : null;
+}
+
+/**
+ * Pick a stable code for an error that has none of ours
+ * @param {*} error
+ * @param {string} message
+ * @param {{ abciCode: number, codespace: string } | null} abci
+ * @param {string} fallbackCode
+ * @returns {string}
+ */
+function pickCode(error, message, abci, fallbackCode) {
+  // 4001 is the EIP-1193 rejection code Cosmostation also uses
+  if (error?.code === 4001 || USER_REJECTION_PATTERN.test(message)) {
+    return ERROR_CODES.USER_REJECTED;
+  }
+  if (abci) {
+    return (
+      (abci.codespace === "sdk" && SDK_CODES[abci.abciCode]) ||
+      ERROR_CODES.CHAIN_REJECTED
+    );
+  }
+  if (/insufficient funds/i.test(message)) {
+    return ERROR_CODES.INSUFFICIENT_FUNDS;
+  }
+  if (/out of gas/i.test(message)) {
+    return ERROR_CODES.OUT_OF_GAS;
+  }
+  // cosmjs TimeoutError after broadcast
+  if (/was submitted but was not yet found on the chain/i.test(message)) {
+    return ERROR_CODES.TX_TIMEOUT;
+  }
+  // fetch() failures: the node was unreachable, nothing was sent
+  if (error instanceof TypeError && /fetch|network/i.test(message)) {
+    return ERROR_CODES.NETWORK_ERROR;
+  }
+  return fallbackCode;
+}
+
+/**
+ * Map any error to a stable code, keeping the original details
+ *
+ * @param {*} error - Wallet, cosmjs, Zoe or sandbox error
+ * @param {string} fallbackCode - Code when nothing more specific applies
+ * @returns {ClassifiedError}
+ */
+export function classifyError(error, fallbackCode) {
+  const message = getErrorMessage(error);
+
+  // Already one of ours (validation, readiness, network, ...)
+  if (typeof error?.code === "string") {
+    return {
+      code: error.code,
+      message,
+      retryable: error.retryable ?? RETRYABLE_CODES.has(error.code),
+      ...(error.details && { details: error.details }),
+    };
+  }
+
+  const abci = readAbciCode(error, message);
+  const code = pickCode(error, message, abci, fallbackCode);
+  const details = {
+    message,
+    ...(error?.name && { name: String(error.name) }),
+    ...abci,
+    ...(typeof error?.log === "string" && { log: error.log }),
+    ...(typeof error?.txHash === "string" && { txHash: error.txHash }),
+    ...(typeof error?.txId === "string" && { txHash: error.txId }),
+  };
+
+  return { code, message, retryable: RETRYABLE_CODES.has(code), details };
+}
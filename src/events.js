@@ -0,0 +1,84 @@
+/**
+ * Push Events
+ *
+ * Unsolicited AGORIC_EVENT messages for state the parent would otherwise
+ * have to poll with GET_STATUS. Nothing is sent for a topic until the
+ * parent subscribes to it.
+ *
+ * Event message shape:
+ * { type: "AGORIC_EVENT", event: "OFFER_STATUS", data: { ... } }
+ */
+
+import { postToParent } from "./bridge.js";
+import { BRIDGE_MESSAGES, EVENTS, PROTOCOL_ERRORS } from "./protocol.js";
+
+const subscriptions = new Set();
+
+/**
+ * Check a SUBSCRIBE/UNSUBSCRIBE payload
+ * @param {string[]} topics
+ */
+function validateTopics(topics) {
+  if (!Array.isArray(topics) || topics.length === 0) {
+    throw {
+      code: PROTOCOL_ERRORS.INVALID_TOPIC,
+      message: "topics must be a non-empty array",
+    };
+  }
+
+  const known = Object.values(EVENTS);
+  const unknown = topics.filter((topic) => !known.includes(topic));
+  if (unknown.length > 0) {
+    throw {
+      code: PROTOCOL_ERRORS.INVALID_TOPIC,
+      message: `Unknown topics: ${unknown.join(", ")}. Available: ${known.join(
+        ", "
+      )}`,
+    };
+  }
+}
+
+/**
+ * Subscribe the parent to event topics
+ * @param {{ topics: string[] }} params
+ * @returns {{ topics: string[] }} All active subscriptions
+ */
+export function subscribe({ topics } = {}) {
+  validateTopics(topics);
+  topics.forEach((topic) => subscriptions.add(topic));
+  console.log("[Agoric Sandbox] Subscribed to:", topics);
+  return { topics: [...subscriptions] };
+}
+
+/**
+ * Unsubscribe the parent from event topics
+ * @param {{ topics: string[] }} params
+ * @returns {{ topics: string[] }} Remaining subscriptions
+ */
+export function unsubscribe({ topics } = {}) {
+  validateTopics(topics);
+  topics.forEach((topic) => subscriptions.delete(topic));
+  console.log("[Agoric Sandbox] Unsubscribed from:", topics);
+  return { topics: [...subscriptions] };
+}
+
+/**
+ * Push an event to the parent if it subscribed to the topic
+ *
+ * Never throws: a failed event must not break the chain watcher or
+ * offer flow that emitted it.
+ *
+ * @param {string} topic - One of EVENTS
+ * @param {*} data - Structured-cloneable payload
+ */
+export function emitEvent(topic, data) {
+  if (!subscriptions.has(topic)) {
+    return;
+  }
+
+  try {
+    postToParent({ type: BRIDGE_MESSAGES.EVENT, event: topic, data });
+  } catch (error) {
+    console.error(`[Agoric Sandbox] Failed to emit ${topic}:`, error);
+  }
+}
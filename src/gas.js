@@ -0,0 +1,61 @@
+/**
+ * Gas and Fees
+ *
+ * Gas is simulated through the wallet's signing client and padded by a
+ * multiplier; the fee is that gas limit times the gas price.
+ */
+
+export const GAS_ERRORS = {
+  SIMULATION_FAILED: "SIMULATION_FAILED",
+};
+
+export const DEFAULT_GAS_MULTIPLIER = 1.3;
+
+// 5000ubld per 200000 gas
+export const GAS_PRICE = { denom: "ubld", amount: 0.025 };
+
+// Fee budgeted when there are no messages to simulate yet
+export const DEFAULT_FEE = {
+  amount: [{ denom: GAS_PRICE.denom, amount: "5000" }],
+  gas: "200000",
+};
+
+/**
+ * Build a fee from simulated gas
+ *
+ * @param {number} gasUsed - Simulated gas
+ * @param {number} [multiplier] - Safety margin applied to the estimate
+ * @returns {{ amount: Array<{ denom: string, amount: string }>, gas: string }}
+ */
+export function calculateFee(gasUsed, multiplier = DEFAULT_GAS_MULTIPLIER) {
+  const gas = Math.ceil(gasUsed * multiplier);
+  return {
+    amount: [
+      {
+        denom: GAS_PRICE.denom,
+        amount: String(Math.ceil(gas * GAS_PRICE.amount)),
+      },
+    ],
+    gas: String(gas),
+  };
+}
+
+/**
+ * Simulate messages and return the gas they use
+ *
+ * @param {Object} signingClient - cosmjs SigningStargateClient
+ * @param {string} address - Signer address
+ * @param {Array<{ typeUrl: string, value: Object }>} messages
+ * @param {string} [memo]
+ * @returns {Promise<number>}
+ */
+export async function simulateGas(signingClient, address, messages, memo) {
+  try {
+    return await signingClient.simulate(address, messages, memo);
+  } catch (error) {
+    throw {
+      code: GAS_ERRORS.SIMULATION_FAILED,
+      message: `Simulation failed: ${error.message}`,
+    };
+  }
+}
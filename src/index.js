@@ -4,7 +4,8 @@
  * This is a standalone bundle that runs in an isolated iframe.
  * All Agoric SDK dependencies are bundled here.
  *
- * Communication with parent window via postMessage API.
+ * Communication with parent window via postMessage API
+ * (see bridge.js for origin checks and the handshake).
  *
  * IMPORTANT: installLockdownSES MUST be imported first to ensure
  * SES lockdown is applied before any other code runs.
@@ -14,20 +15,105 @@
 import "./installLockdownSES.js";
 
 import { Buffer } from "buffer";
-import {
-  suggestChain,
-  makeAgoricWalletConnection,
-} from "@agoric/web-components";
 import {
   makeAgoricChainStorageWatcher,
   AgoricChainStoragePathKind as Kind,
 } from "@agoric/rpc";
-import { makeSignDoc } from "@cosmjs/amino";
+import { fromBech32, toBase64 } from "@cosmjs/encoding";
+import {
+  formatAmount,
+  getAssetByBrandKey,
+  getAssetByDenom,
+  setVbankAssets,
+} from "./assets.js";
+import { makeADR036Proof, verifyADR036Proof } from "./adr036.js";
+import { fetchBankBalances } from "./balances.js";
+import { announceReady, listenToParent } from "./bridge.js";
+import {
+  getEndpointHealth,
+  markEndpointFailed,
+  probeEndpoint,
+  rankEndpoints,
+  selectEndpoint,
+} from "./endpoints.js";
+import { classifyError, ERROR_CODES, getErrorMessage } from "./errors.js";
+import { emitEvent, subscribe, unsubscribe } from "./events.js";
+import {
+  calculateFee,
+  DEFAULT_FEE,
+  DEFAULT_GAS_MULTIPLIER,
+  simulateGas,
+} from "./gas.js";
+import {
+  getOffer,
+  listOffers,
+  OFFER_ERRORS,
+  OFFER_STATUS,
+  recordOffer,
+  releaseOffer,
+  resumePendingOffers,
+  updateOffer,
+} from "./pendingOffers.js";
+import {
+  addKeywordRecords,
+  describeAmounts,
+  PROPOSAL_ERRORS,
+  resolveProposal,
+  sumByDenom,
+  toZoeProposal,
+} from "./proposals.js";
+import {
+  cancelRequest,
+  getQueueLength,
+  runSerialized,
+  throwIfCancelled,
+} from "./requestQueue.js";
+import { clearSession, loadSession, saveSession } from "./session.js";
+import {
+  findOfferStatus,
+  findOfferTransaction,
+  getLatestHeight,
+} from "./transactions.js";
+import {
+  DEFAULT_CONTRACT,
+  DEFAULT_NETWORK,
+  getConfig,
+  getContractNames,
+  getInitialNetwork,
+  getInvitationMakers,
+  getNetworkNames,
+  networkConfigs,
+  registerNetwork,
+} from "./networks.js";
+import {
+  DEFAULT_CHAIN_DATA_TIMEOUT_MS,
+  makeReadySignal,
+} from "./readiness.js";
+import {
+  BRIDGE_MESSAGES,
+  COMMANDS,
+  EVENTS,
+  PROTOCOL_ERRORS,
+  PROTOCOL_VERSION,
+} from "./protocol.js";
+import {
+  validateAddress,
+  validateAmount,
+  validateDenom,
+  validateMessages,
+} from "./validation.js";
+import {
+  addWalletAdapter,
+  connectSigner,
+  detectWallets,
+  getWalletAdapter,
+} from "./wallets.js";
+import { makeTestSignerAdapter, TEST_WALLET_TYPE } from "./testSigner.js";
 
 // Make Buffer available globally for Agoric packages
 globalThis.Buffer = Buffer;
 
-console.log("[Agoric Sandbox] Loading v1.0.0");
+console.log(`[Agoric Sandbox] Loading v${process.env.SANDBOX_VERSION}`);
 
 // Update SES status in UI
 if (typeof document !== "undefined") {
@@ -40,44 +126,6 @@ if (typeof document !== "undefined") {
   });
 }
 
-export const networkConfigs = {
-  mainnet: {
-    CHAIN_ID: "agoric-3",
-    RPC_ENDPOINT: "https://main-a.rpc.agoric.net:443",
-    REST_ENDPOINT: "https://main-a.api.agoric.net",
-    NETWORK_CONFIG_HREF: "https://followmain.agoric.net/network-config",
-  },
-  devnet: {
-    CHAIN_ID: "agoricdev-25",
-    RPC_ENDPOINT: "https://devnet.rpc.agoric.net:443",
-    REST_ENDPOINT: "https://devnet.api.agoric.net",
-    NETWORK_CONFIG_HREF: "https://devnet.agoric.net/network-config",
-  },
-  emerynet: {
-    CHAIN_ID: "agoric-emerynet-9",
-    RPC_ENDPOINT: "https://emerynet.rpc.agoric.net:443",
-    NETWORK_CONFIG_HREF: "https://emerynet.agoric.net/network-config",
-    REST_ENDPOINT: "https://emerynet.api.agoric.net",
-  },
-  local: {
-    CHAIN_ID: "agoriclocal",
-    RPC_ENDPOINT: "http://localhost:26657",
-    NETWORK_CONFIG_HREF: "https://local.agoric.net/network-config",
-    REST_ENDPOINT: "http://localhost:1317",
-  },
-};
-
-/**
- * Get network configuration
- * @param {string | null | undefined} network - Network name
- * @returns {Object} Network configuration
- */
-function getConfig(network) {
-  // Normalize to default if undefined/null/empty
-  const normalizedNetwork = network || "devnet";
-  return networkConfigs[normalizedNetwork] || networkConfigs.devnet;
-}
-
 /**
  * @typedef {Object} TransactionData
  * @property {Object} txn - Transaction details
@@ -96,20 +144,37 @@ function getConfig(network) {
 /**
  * @typedef {Object} OfferResult
  * @property {string} status - Offer status ("accepted", "seated", "error", "refunded")
+ * @property {number} offerId - Id the offer was submitted with
+ * @property {boolean} confirmed - Whether the offer's transaction was found
  * @property {TransactionData} [data] - Transaction data (if available)
+ * @property {Object | null} [payouts] - Zoe payouts by keyword (when collected)
+ * @property {*} [result] - The offer's result (when collected)
+ * @property {string | null} accountInvitationId - Kit created by this offer, if any
  */
 
-// Brands
-const BLD = {
-  brandKey: "BLD",
-  decimals: 6,
-};
+export { networkConfigs };
 
 // Global state
 const state = {
   network: null,
   watcher: null,
+  // Unsubscribe functions returned by watcher.watchLatest
+  watcherSubscriptions: [],
+  walletSubscription: null,
+  // Endpoints currently in use, picked by health probing
+  endpoints: { rpc: null, rest: null },
+  // Commands being processed; endpoint failover waits while this is > 0
+  activeCommands: 0,
+  // An endpoint failover is waiting in or running from the request queue
+  failoverQueued: false,
+  // { address, signingClient } of the connected account
   wallet: null,
+  // Adapter type of the connected (or last connected) wallet
+  walletType: null,
+  // { event, handler } listening for the wallet's account switches
+  keystoreListener: null,
+  // Wallet last reported to the parent in WALLET_CHANGED
+  announcedWallet: { address: null, walletType: null },
   currentWalletRecord: null,
   brands: null,
   contractInstance: null,
@@ -118,6 +183,88 @@ const state = {
   isInitialized: false,
 };
 
+// Init-time settings from the iframe URL (e.g. ?chainDataTimeoutMs=30000)
+const initParams = new URLSearchParams(window.location.search);
+const settings = {
+  chainDataTimeoutMs:
+    Number(initParams.get("chainDataTimeoutMs")) ||
+    DEFAULT_CHAIN_DATA_TIMEOUT_MS,
+  // Simulated gas is multiplied by this before signing
+  gasMultiplier:
+    Number(initParams.get("gasMultiplier")) || DEFAULT_GAS_MULTIPLIER,
+  // Contract names that override the network's (?instanceName=...)
+  contract: Object.fromEntries(
+    Object.keys(DEFAULT_CONTRACT)
+      .filter((key) => initParams.get(key))
+      .map((key) => [key, initParams.get(key)])
+  ),
+};
+
+// Dev builds only: `yarn build` sets NODE_ENV to "production", which
+// makes this false at compile time (see webpack.config.js)
+const TEST_SIGNER_ENABLED =
+  process.env.NODE_ENV !== "production" &&
+  (process.env.AGORIC_TEST_SIGNER === "true" || initParams.has("testSigner"));
+
+if (TEST_SIGNER_ENABLED) {
+  console.warn("[Agoric Sandbox] Test signer enabled - never use real funds");
+  addWalletAdapter(
+    makeTestSignerAdapter({
+      mnemonic:
+        initParams.get("testMnemonic") || process.env.AGORIC_TEST_MNEMONIC,
+    })
+  );
+  // Connect with the test signer unless the parent asks for another
+  state.walletType = TEST_WALLET_TYPE;
+}
+
+const ENDPOINT_HEALTH_INTERVAL_MS = 60000;
+
+// How long a seated offer may wait for its outcome before it is read
+// back over REST
+const OFFER_OUTCOME_TIMEOUT_MS = 60000;
+
+// Resolve when the watcher first delivers each piece of chain data
+const chainData = {
+  brands: makeReadySignal("brands"),
+  vbankAssets: makeReadySignal("vbank assets"),
+  contractInstance: makeReadySignal("contract instance"),
+  walletRecord: makeReadySignal("wallet record"),
+};
+
+/**
+ * Contract names for the current network, with init-time overrides
+ * @returns {import("./networks.js").ContractNames}
+ */
+function getContract() {
+  return { ...getContractNames(state.network), ...settings.contract };
+}
+
+/**
+ * Wait until brands and the contract instance have been published
+ *
+ * The instance list is checked as soon as it arrives, so a wrong
+ * instance name fails at once instead of timing out.
+ *
+ * @throws {{ code: "CHAIN_DATA_TIMEOUT" | "INSTANCE_NOT_FOUND", message: string }}
+ */
+async function waitForChainData() {
+  const timeoutMs = settings.chainDataTimeoutMs;
+  const [, , instance] = await Promise.all([
+    chainData.brands.wait({ timeoutMs }),
+    chainData.vbankAssets.wait({ timeoutMs }),
+    chainData.contractInstance.wait({ timeoutMs }),
+  ]);
+
+  if (!instance) {
+    const { instanceName } = getContract();
+    throw {
+      code: "INSTANCE_NOT_FOUND",
+      message: `No "${instanceName}" instance in agoricNames on ${state.network}`,
+    };
+  }
+}
+
 /**
  * Update status UI
  */
@@ -144,35 +291,171 @@ function updateWalletStatus(status) {
  */
 function createWatcherHandlers(watcher) {
   return {
-    watchInstances: () => {
+    watchInstances: () =>
       watcher.watchLatest(
         [Kind.Data, "published.agoricNames.instance"],
         (instances) => {
           console.log("[Agoric Sandbox] Got instances:", instances);
-          // Find qstnRouterV1 instance
-          state.contractInstance = instances.find(
-            ([name]) => name === "QstnContract"
-          )?.[1];
+          const { instanceName } = getContract();
+          state.contractInstance =
+            instances.find(([name]) => name === instanceName)?.[1] || null;
 
           console.log(
-            "[Agoric Sandbox] Contract instance:",
+            `[Agoric Sandbox] Contract instance (${instanceName}):`,
             state.contractInstance
           );
+          // null tells waitForChainData the instance is missing
+          chainData.contractInstance.set(state.contractInstance);
+          emitEvent(EVENTS.INSTANCE_UPDATED, {
+            hasInstance: !!state.contractInstance,
+          });
         }
-      );
-    },
+      ),
 
-    watchBrands: () => {
+    watchBrands: () =>
       watcher.watchLatest(
         [Kind.Data, "published.agoricNames.brand"],
         (brands) => {
           console.log("[Agoric Sandbox] Got brands:", brands);
           // Convert array of tuples to object
           state.brands = Object.fromEntries(brands);
+          chainData.brands.set(state.brands);
+          emitEvent(EVENTS.BRANDS_UPDATED, {
+            brandsAvailable: Object.keys(state.brands),
+          });
         }
+      ),
+
+    watchVbankAssets: () =>
+      watcher.watchLatest(
+        [Kind.Data, "published.agoricNames.vbankAsset"],
+        (vbankAssets) => {
+          console.log("[Agoric Sandbox] Got vbank assets:", vbankAssets);
+          setVbankAssets(vbankAssets);
+          chainData.vbankAssets.set(vbankAssets);
+        }
+      ),
+  };
+}
+
+/**
+ * Stop every watcher subscription and forget network-bound state
+ *
+ * The wallet's record subscription is bound to the watcher, so the
+ * wallet is dropped as well.
+ */
+function teardownWatcher() {
+  state.watcherSubscriptions.forEach((unsubscribe) => {
+    if (typeof unsubscribe === "function") {
+      unsubscribe();
+    }
+  });
+
+  resetWallet();
+  state.watcherSubscriptions = [];
+  state.watcher = null;
+  state.brands = null;
+  state.contractInstance = null;
+  Object.values(chainData).forEach((signal) => signal.reset());
+}
+
+/**
+ * Forget the connected wallet and stop watching its record
+ *
+ * The keystore listener stays: the sandbox reconnects the same wallet
+ * after a network switch.
+ */
+function resetWallet() {
+  if (typeof state.walletSubscription === "function") {
+    state.walletSubscription();
+  }
+
+  state.walletSubscription = null;
+  state.wallet?.signingClient.disconnect();
+  state.wallet = null;
+  state.currentWalletRecord = null;
+  state.accountInvitation = null;
+  state.hasAccount = false;
+  chainData.walletRecord.reset();
+  updateWalletStatus("Wallet: Not connected");
+}
+
+/**
+ * Tell the parent when the connected account changes
+ *
+ * Reconnecting the same account (e.g. after a network switch) is not a
+ * change.
+ *
+ * @param {string} reason - "connected", "keystore_changed" or "disconnected"
+ */
+function announceWalletChange(reason) {
+  const address = state.wallet?.address || null;
+  const walletType = state.wallet ? state.walletType : null;
+  const previous = state.announcedWallet;
+  if (previous.address === address && previous.walletType === walletType) {
+    return;
+  }
+
+  state.announcedWallet = { address, walletType };
+  emitEvent(EVENTS.WALLET_CHANGED, {
+    address,
+    previousAddress: previous.address,
+    walletType,
+    reason,
+  });
+}
+
+/**
+ * Stop listening for account switches in the wallet extension
+ */
+function stopKeystoreListener() {
+  if (state.keystoreListener) {
+    const { event, handler } = state.keystoreListener;
+    window.removeEventListener(event, handler);
+    state.keystoreListener = null;
+  }
+}
+
+/**
+ * Reconnect when the user switches accounts in the wallet extension
+ *
+ * Without this the wallet connection and record subscription would keep
+ * pointing at the old address.
+ *
+ * @param {import("./wallets.js").WalletAdapter} adapter
+ */
+function listenForKeystoreChange(adapter) {
+  stopKeystoreListener();
+  if (!adapter.keystoreChangeEvent) {
+    return;
+  }
+
+  const handler = () => {
+    if (!state.wallet) {
+      return;
+    }
+    console.log("[Agoric Sandbox] Wallet account changed, reconnecting...");
+    // Queued like CONNECT_WALLET, so it never lands in the middle of an offer
+    runSerialized(
+      { requestId: `${adapter.keystoreChangeEvent}-${Date.now()}` },
+      () =>
+        connectWallet(
+          { walletType: adapter.type },
+          { reason: "keystore_changed" }
+        )
+    ).catch((error) => {
+      console.error(
+        "[Agoric Sandbox] Reconnect after account change failed:",
+        error
       );
-    },
+      // The old account's connection is stale either way
+      resetWallet();
+      announceWalletChange("keystore_changed");
+    });
   };
+
+  window.addEventListener(adapter.keystoreChangeEvent, handler);
+  state.keystoreListener = { event: adapter.keystoreChangeEvent, handler };
 }
 
 /**
@@ -183,35 +466,44 @@ function createWatcherHandlers(watcher) {
  */
 
 /**
- * Sign data with wallet
  * @param {Object} params
- * @param {string | null | undefined} params.network - Network to connect to
+ * @param {string} params.network - Network to connect to
  */
 async function setupWatcher({ network } = {}) {
   try {
-    // Normalize network at entry point
-    const targetNetwork = network || "devnet";
-
     console.log("[Agoric Sandbox] Setting up chain storage watcher...");
     updateStatus("Initializing chain storage watcher...", "loading");
 
-    const config = getConfig(targetNetwork);
+    // Throws UNKNOWN_NETWORK before anything is torn down
+    const config = getConfig(network);
+    const restEndpoint = await selectEndpoint("rest", config.REST_ENDPOINTS);
+
+    teardownWatcher();
+    state.endpoints = { rpc: null, rest: restEndpoint };
 
     // Initialize watcher with REST API endpoint and chain ID
     const watcher = makeAgoricChainStorageWatcher(
-      config.REST_ENDPOINT,
+      restEndpoint,
       config.CHAIN_ID
     );
 
     // Store watcher - CRITICAL: Must exist before wallet connection!
     state.watcher = watcher;
 
-    state.network = targetNetwork;
+    state.network = network;
 
     // Create and use watcher handlers
     const handlers = createWatcherHandlers(watcher);
-    handlers.watchInstances();
-    handlers.watchBrands();
+    state.watcherSubscriptions = [
+      handlers.watchInstances(),
+      handlers.watchBrands(),
+      handlers.watchVbankAssets(),
+      ...resumePendingOffers({
+        watcher,
+        network,
+        restEndpoints: config.REST_ENDPOINTS,
+      }),
+    ];
 
     console.log("[Agoric Sandbox] Watcher setup complete");
     return watcher;
@@ -223,22 +515,28 @@ async function setupWatcher({ network } = {}) {
 }
 
 /**
- * Connect to Keplr Wallet
+ * Connect to a Cosmos wallet (Keplr, Leap or Cosmostation)
  *
  * IMPORTANT: Watcher must be initialized before calling this!
- */
-/**
- * Sign data with wallet
+ *
  * @param {Object} params
  * @param {string | null | undefined} params.network - Network to connect to
+ * @param {string} [params.walletType] - Defaults to the current wallet, else the first installed
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Reported in WALLET_CHANGED
+ * @param {boolean} [options.interactive] - false skips suggestChain and enable (see restoreSession)
  */
-async function connectWallet({ network } = {}) {
+async function connectWallet(
+  { network, walletType } = {},
+  { reason = "connected", interactive = true } = {}
+) {
   try {
-    // Normalize network at entry point
-    const targetNetwork = network || "devnet";
+    // Default to the network the sandbox is already on
+    const targetNetwork = network || state.network || DEFAULT_NETWORK;
+    const adapter = getWalletAdapter(walletType || state.walletType);
 
-    console.log("[Agoric Sandbox] Connecting wallet...");
-    updateStatus("Connecting to Keplr...", "loading");
+    console.log("[Agoric Sandbox] Connecting wallet...", adapter.type);
+    updateStatus(`Connecting to ${adapter.name}...`, "loading");
     updateWalletStatus("Connecting...");
 
     // CRITICAL: Check if watcher exists first!
@@ -247,30 +545,36 @@ async function connectWallet({ network } = {}) {
         "[Agoric Sandbox] Watcher not initialized or network changed, setting up..."
       );
       await setupWatcher({ network: targetNetwork });
-      // Wait a bit for watcher to sync initial data
-      await new Promise((resolve) => setTimeout(resolve, 2000));
-    }
-
-    // Check if Keplr is installed
-    if (!window.keplr) {
-      throw new Error("KEPLR_NOT_INSTALLED");
+      await waitForChainData();
     }
 
-    // Suggest Agoric chain to Keplr
-    console.log("[Agoric Sandbox] Suggesting chain to Keplr...");
+    // Throws KEPLR_NOT_INSTALLED / WALLET_NOT_INSTALLED
+    console.log(`[Agoric Sandbox] Suggesting chain to ${adapter.name}...`);
 
     const config = getConfig(targetNetwork);
-    await suggestChain(config.NETWORK_CONFIG_HREF);
+    throwIfCancelled();
+    // A restored session suggested the chain when it was made
+    if (interactive) {
+      await adapter.suggestChain(config.NETWORK_CONFIG_HREF);
+    }
 
-    // Make Agoric wallet connection
-    // Pass watcher as first parameter, RPC endpoint as second
+    // Only the address and a signing client: the sandbox watches the
+    // wallet itself, so no wallet connection pollers are left behind
+    // when the account or network changes
     console.log("[Agoric Sandbox] Creating wallet connection...");
-    const wallet = await makeAgoricWalletConnection(
-      state.watcher,
-      config.RPC_ENDPOINT
-    );
+    const rpcEndpoint = await selectEndpoint("rpc", config.RPC_ENDPOINTS);
+    const signer = await connectSigner(adapter, {
+      chainId: config.CHAIN_ID,
+      rpcEndpoint,
+      enable: interactive,
+    });
+    const wallet = { address: signer.address, signingClient: signer.client };
+    state.endpoints.rpc = rpcEndpoint;
 
+    // Drops the previous account's record subscription and kit
+    resetWallet();
     state.wallet = wallet;
+    state.walletType = adapter.type;
 
     console.log("[Agoric Sandbox] Wallet connected:", wallet.address);
 
@@ -282,10 +586,6 @@ async function connectWallet({ network } = {}) {
     // Start watching wallet to get currentWalletRecord
     watchWallet();
 
-    // Wait for wallet record to be available
-    console.log("[Agoric Sandbox] Waiting for wallet record...");
-    await new Promise((resolve) => setTimeout(resolve, 2000));
-
     // Check if account already exists and store in state
     const existingAccount = await getAccountInvitation();
     if (existingAccount) {
@@ -301,21 +601,111 @@ async function connectWallet({ network } = {}) {
       );
     }
 
-    return { address: wallet.address };
+    listenForKeystoreChange(adapter);
+    announceWalletChange(reason);
+    saveSession({
+      walletType: adapter.type,
+      network: targetNetwork,
+      address: wallet.address,
+    });
+
+    return { address: wallet.address, walletType: adapter.type };
   } catch (error) {
     console.error("[Agoric Sandbox] Connection failed:", error);
     updateStatus(`Connection failed: ${error.message}`, "error");
     updateWalletStatus("Connection failed");
 
-    // Normalize error
-    if (error.message === "KEPLR_NOT_INSTALLED") {
-      throw {
-        code: "KEPLR_NOT_INSTALLED",
-        message: "Keplr wallet extension not found",
-      };
+    // Keeps our own codes (CHAIN_DATA_TIMEOUT, KEPLR_NOT_INSTALLED, ...)
+    throw classifyError(error, "CONNECTION_FAILED");
+  }
+}
+
+/**
+ * Disconnect the wallet
+ *
+ * Forgets the connection and stops watching the wallet. The site stays
+ * approved in the wallet extension, so connecting again does not prompt.
+ *
+ * @returns {{ disconnected: boolean, address: string | null }}
+ */
+function disconnectWallet() {
+  const address = state.wallet?.address || null;
+
+  stopKeystoreListener();
+  resetWallet();
+  clearSession();
+  announceWalletChange("disconnected");
+  updateStatus("Wallet disconnected", "success");
+
+  return { disconnected: !!address, address };
+}
+
+/**
+ * Reconnect the wallet of the last session without prompting
+ *
+ * Never calls enable: the wallet is first asked for the account key
+ * (adapter.isEnabled), and only reconnected if it answers at once.
+ * Anything else needs the user: the parent gets
+ * { interactionRequired: true, reason } and should offer CONNECT_WALLET.
+ *
+ * @returns {Promise<Object>}
+ */
+async function restoreSession() {
+  const interactionRequired = (reason) => ({
+    restored: false,
+    interactionRequired: true,
+    reason,
+  });
+
+  const session = loadSession();
+  if (!session) {
+    return interactionRequired("no_session");
+  }
+  if (!detectWallets().includes(session.walletType)) {
+    return interactionRequired("wallet_not_installed");
+  }
+  // Networks from REGISTER_NETWORK do not survive a reload
+  if (!getNetworkNames().includes(session.network)) {
+    return interactionRequired("unknown_network");
+  }
+
+  if (
+    state.wallet?.address !== session.address ||
+    state.walletType !== session.walletType ||
+    state.network !== session.network
+  ) {
+    const adapter = getWalletAdapter(session.walletType);
+    const { CHAIN_ID } = getConfig(session.network);
+    if (!(await adapter.isEnabled(CHAIN_ID))) {
+      // Locked, or the approval was revoked: leave connecting to the user
+      return interactionRequired("not_enabled");
+    }
+
+    try {
+      await connectWallet(
+        { network: session.network, walletType: session.walletType },
+        { reason: "restored", interactive: false }
+      );
+    } catch (error) {
+      const { code } = classifyError(error, "CONNECTION_FAILED");
+      if (code !== ERROR_CODES.USER_REJECTED) {
+        throw error;
+      }
+      // The user declined or revoked the site in the wallet
+      clearSession();
+      return interactionRequired("rejected");
     }
-    throw { code: "CONNECTION_FAILED", message: error.message };
   }
+
+  return {
+    restored: true,
+    interactionRequired: false,
+    address: state.wallet.address,
+    network: state.network,
+    walletType: state.walletType,
+    // The user switched accounts in the wallet since the last session
+    addressChanged: state.wallet.address !== session.address,
+  };
 }
 
 /**
@@ -334,11 +724,21 @@ function watchWallet() {
       return;
     }
 
+    // One subscription at a time
+    if (typeof state.walletSubscription === "function") {
+      state.walletSubscription();
+    }
+
     // Watch wallet state for offer updates using Kind.Data prefix
-    state.watcher.watchLatest(
+    state.walletSubscription = state.watcher.watchLatest(
       [Kind.Data, `published.wallet.${state.wallet.address}.current`],
       (currentWalletRecord) => {
         if (!currentWalletRecord) {
+          // No smart wallet published for this address yet
+          if (!chainData.walletRecord.isReady) {
+            console.log("[Agoric Sandbox] Wallet record not published");
+            chainData.walletRecord.set(null);
+          }
           return;
         }
         console.log(
@@ -346,6 +746,11 @@ function watchWallet() {
           currentWalletRecord
         );
         state.currentWalletRecord = currentWalletRecord;
+        chainData.walletRecord.set(currentWalletRecord);
+        emitEvent(
+          EVENTS.WALLET_RECORD_UPDATED,
+          summarizeWalletRecord(currentWalletRecord)
+        );
       }
     );
 
@@ -356,202 +761,151 @@ function watchWallet() {
 }
 
 /**
- * Get the QSTN account invitation from wallet records
- * Checks if user has already created a QSTN account
- * Waits for wallet record to be available if not yet populated
- *
- * @param {number} [maxWaitMs=5000] - Maximum time to wait for wallet record
- * @returns {Promise<{ id: string, invitation: any } | null>} Account invitation details or null
+ * Find the agoricNames key for a brand
+ * @param {*} brand - Brand presence from chain storage
+ * @returns {string | null}
  */
-async function getAccountInvitation(maxWaitMs = 5000) {
-  // If wallet record not available, ensure watcher is running and wait for it
-  if (!state.currentWalletRecord) {
-    console.log("[Agoric Sandbox] Wallet record not yet available, waiting...");
-    watchWallet();
-
-    // Poll for wallet record with timeout
-    const pollInterval = 500;
-    let waited = 0;
-    while (!state.currentWalletRecord && waited < maxWaitMs) {
-      await new Promise((resolve) => setTimeout(resolve, pollInterval));
-      waited += pollInterval;
-    }
-
-    // If still no wallet record after waiting, return null (new wallet with no history)
-    if (!state.currentWalletRecord) {
-      console.log(
-        "[Agoric Sandbox] No wallet record found after waiting - this may be a new wallet"
-      );
-      return null;
-    }
-  }
+function getBrandName(brand) {
+  const entry = Object.entries(state.brands || {}).find(
+    ([, candidate]) => candidate === brand
+  );
+  return entry ? entry[0] : null;
+}
 
-  console.log("[Agoric Sandbox] Checking for existing account invitation...");
+/**
+ * Reduce a wallet record to plain data for the parent
+ *
+ * Brand presences do not survive postMessage, so they are replaced by
+ * their agoricNames key.
+ *
+ * @param {Object} record - published.wallet.<addr>.current
+ * @returns {Object}
+ */
+function summarizeWalletRecord(record) {
+  return {
+    address: state.wallet?.address || null,
+    purses: (record.purses || []).map(({ brand, balance }) => ({
+      brand: getBrandName(brand),
+      value: balance?.value,
+    })),
+    liveOffers: (record.liveOffers || []).map(([offerId]) => offerId),
+    usedInvitations: (record.offerToUsedInvitation || []).map(
+      ([offerId]) => offerId
+    ),
+  };
+}
 
-  const invitation = state.currentWalletRecord.offerToUsedInvitation
+/**
+ * List the QSTN account invitations in a wallet record, newest first
+ *
+ * @param {Object | null} record - published.wallet.<addr>.current
+ * @returns {Array<{ id: string, invitation: any }>}
+ */
+function listAccountInvitations(record) {
+  return (record?.offerToUsedInvitation || [])
     .filter((inv) => {
       const value = inv[1]?.value;
       if (Array.isArray(value) && value[0]) {
-        const description = value[0].description;
-        console.log(
-          "[Agoric Sandbox] Found invitation with description:",
-          description
-        );
-        return description === "qstnAccountKitInvitation";
+        return value[0].description === getContract().invitationDescription;
       }
       return false;
     })
-    .sort((a, b) => b[0].localeCompare(a[0])) // Sort descending to get latest
-    .at(0); // Get the most recent one
-
-  if (invitation) {
-    console.log(
-      "[Agoric Sandbox] Found existing account invitation:",
-      invitation[0]
-    );
-    return {
-      id: invitation[0],
-      invitation: invitation[1],
-    };
-  }
+    .sort((a, b) => String(b[0]).localeCompare(String(a[0]))) // Latest first
+    .map(([id, invitation]) => ({ id, invitation }));
+}
 
-  console.log("[Agoric Sandbox] No account invitation found");
-  return null;
+/**
+ * Find the latest QSTN account invitation in a wallet record
+ *
+ * @param {Object | null} record - published.wallet.<addr>.current
+ * @returns {{ id: string, invitation: any } | null}
+ */
+function findAccountInvitation(record) {
+  return listAccountInvitations(record).at(0) || null;
 }
 
 /**
- * Extract error message from various error formats
+ * Get the QSTN account invitation from wallet records
+ * Checks if user has already created a QSTN account
+ * Waits for the first wallet record if it has not arrived yet
+ *
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Maximum time to wait for wallet record
+ * @returns {Promise<{ id: string, invitation: any } | null>} Account invitation details or null
  */
-function getErrorMessage(error) {
-  // Handle Error objects
-  if (error instanceof Error) {
-    return error.message;
+async function getAccountInvitation({
+  timeoutMs = settings.chainDataTimeoutMs,
+} = {}) {
+  let record;
+  try {
+    record = await chainData.walletRecord.wait({ timeoutMs });
+  } catch (error) {
+    // A wallet that never made an offer may have no record yet
+    console.log(
+      "[Agoric Sandbox] No wallet record found after waiting - this may be a new wallet"
+    );
+    return null;
   }
 
-  // Handle error objects with message property
-  if (error && typeof error === "object" && "message" in error) {
-    return error.message;
-  }
+  console.log("[Agoric Sandbox] Checking for existing account invitation...");
 
-  // Handle string errors
-  if (typeof error === "string") {
-    return error;
+  const invitation = findAccountInvitation(record);
+  if (invitation) {
+    console.log(
+      "[Agoric Sandbox] Found existing account invitation:",
+      invitation.id
+    );
+    return invitation;
   }
 
-  // Try to stringify as last resort, but handle circular references
-  try {
-    const stringified = JSON.stringify(error);
-    // Don't return empty object or null
-    if (stringified === "{}" || stringified === "null") {
-      return String(error);
-    }
-    return stringified;
-  } catch (e) {
-    return String(error);
-  }
+  console.log("[Agoric Sandbox] No account invitation found");
+  return null;
 }
 
 /**
- * Get the last transaction for the current wallet address from Cosmos API
- * This is used as a fallback when offer status updates don't include transaction data
+ * Look up the transaction that carried one of our offers
+ *
+ * Used when offer status updates don't include transaction data.
  *
+ * @param {number} offerId - Id the offer was submitted with
+ * @param {number | null} fromHeight - Block height before submission
  * @returns {Promise<TransactionData|null>} Transaction data or null if not found
  */
-async function getLastTransaction() {
-  try {
-    if (!state.wallet || !state.network) {
-      console.warn(
-        "[Agoric Sandbox] Cannot fetch transaction: wallet or network not initialized"
-      );
-      return null;
-    }
-
-    const config = getConfig(state.network);
-    const address = state.wallet.address;
-
-    const url = `${
-      config.REST_ENDPOINT
-    }/cosmos/tx/v1beta1/txs?query=${encodeURIComponent(
-      `message.sender='${address}'`
-    )}&order_by=ORDER_BY_DESC&pagination.limit=1`;
-
-    console.log("[Agoric Sandbox] Fetching last transaction from:", url);
-
-    const response = await fetch(url);
-    if (!response.ok) {
-      console.error(
-        "[Agoric Sandbox] Failed to fetch transaction:",
-        response.status
-      );
-      return null;
-    }
-
-    const data = await response.json();
-
-    if (!data.tx_responses || data.tx_responses.length === 0) {
-      console.log("[Agoric Sandbox] No transactions found for address");
-      return null;
-    }
-
-    const txResponse = data.tx_responses[0];
-
-    let offerId = Date.now(); // Fallback
-    try {
-      const spendAction = txResponse.tx?.body?.messages?.[0]?.spend_action;
-      if (spendAction) {
-        // The spend_action contains JSON with the offer id
-        // Format: {"body":"#{\"method\":\"executeOffer\",\"offer\":{\"id\":1767643141199,...}}","slots":[...]}
-        const idMatch = spendAction.match(/"id"\s*:\s*(\d+)/);
-        if (idMatch) {
-          offerId = parseInt(idMatch[1], 10);
-        }
-      }
-    } catch (e) {
-      console.warn(
-        "[Agoric Sandbox] Could not extract offerId from transaction:",
-        e
-      );
-    }
-
-    const txData = {
-      txn: {
-        transactionHash: txResponse.txhash || "",
-        code: txResponse.code,
-        height: parseInt(txResponse.height, 10) || 0,
-        rawLog: txResponse.raw_log || "",
-        gasUsed: BigInt(txResponse.gas_used || 0),
-        gasWanted: BigInt(txResponse.gas_wanted || 0),
-        events: txResponse.events || [],
-      },
-      offerId,
-    };
-
-    console.log(
-      "[Agoric Sandbox] Fetched last transaction:",
-      txData.txn.transactionHash,
-      "offerId:",
-      txData.offerId
+async function lookupOfferTransaction(offerId, fromHeight) {
+  if (!state.wallet || !state.network) {
+    console.warn(
+      "[Agoric Sandbox] Cannot fetch transaction: wallet or network not initialized"
     );
-    return txData;
-  } catch (error) {
-    console.error("[Agoric Sandbox] Error fetching last transaction:", error);
     return null;
   }
+
+  return findOfferTransaction({
+    restEndpoints: getConfig(state.network).REST_ENDPOINTS,
+    address: state.wallet.address,
+    offerId,
+    fromHeight,
+  });
 }
 
 /**
- * Make an offer using the smart wallet
+ * Build the invitation spec, proposal and offer args for an offer
  *
- * NOTE: This is the core function for interacting with Agoric smart contracts
- * Automatically handles proposal creation, account routing, and state management
+ * Routes through the existing account kit when there is one, otherwise
+ * through the public invitation that creates it.
  *
  * @param {Object} params
  * @param {Array} params.messages - Transaction messages
- * @param {string} params.totalAmount - Total amount to send
- * @param {string} params.denom - Token denomination (e.g., "ubld")
- * @returns {Promise<OfferResult>} Offer result with status and transaction data
+ * @param {Object} params.proposal - Resolved give/want (see proposals.js)
+ * @param {boolean} [params.createAccount] - Create a new kit even if one exists
+ * @param {{ name: string, args: Array, offerArgs?: Object }} [params.invitationMaker] - Call this maker of the existing kit instead of sending messages
+ * @returns {Promise<{ invitationSpec: Object, proposal: Object, offerArgs: Object, accountWasCreated: boolean }>}
  */
-async function makeOffer({ messages, totalAmount, denom }) {
+async function buildOffer({
+  messages,
+  proposal: resolved,
+  createAccount = false,
+  invitationMaker,
+}) {
   // Validate state
   if (!state.wallet) {
     throw new Error("Wallet not connected. Call connectWallet() first.");
@@ -563,45 +917,35 @@ async function makeOffer({ messages, totalAmount, denom }) {
     );
   }
 
-  if (!state.brands) {
-    throw new Error("Brands not loaded. Wait for chain storage to sync.");
-  }
-
-  // Get brand and create proposal
-  const brandKey = denom.toUpperCase() === "UBLD" ? "BLD" : denom.toUpperCase();
-  const brand = state.brands?.[brandKey];
+  const proposal = toZoeProposal(resolved);
 
-  if (!brand) {
-    throw new Error(
-      `Brand not found for ${brandKey}. Available brands: ${Object.keys(
-        state.brands || {}
-      ).join(", ")}`
-    );
-  }
+  console.log("[Agoric Sandbox]", proposal);
 
-  console.log("here");
+  // Check if account exists - get fresh invitation each time
+  const accountInvitation = createAccount
+    ? null
+    : await getAccountInvitation();
 
-  console.log("[Agoric Sandbox] Using brand:", brandKey, brand);
+  if (invitationMaker) {
+    if (!accountInvitation) {
+      throw {
+        code: "ACCOUNT_NOT_FOUND",
+        message: "No QSTN account kit. Create one with CREATE_ACCOUNT first.",
+      };
+    }
 
-  const proposal = {
-    give: {
-      Deposit: {
-        brand,
-        value: BigInt(totalAmount),
+    return {
+      invitationSpec: {
+        source: "continuing",
+        previousOffer: accountInvitation.id,
+        invitationMakerName: invitationMaker.name,
+        invitationArgs: harden(invitationMaker.args),
       },
-    },
-    want: {},
-  };
-
-  console.log("[Agoric Sandbox]", proposal);
-
-  // Handle automatic account routing
-  let invitationSpec;
-  let offerArgs;
-  let accountWasCreated = false;
-
-  // Check if account exists - get fresh invitation each time
-  const accountInvitation = await getAccountInvitation();
+      proposal,
+      offerArgs: harden(invitationMaker.offerArgs || {}),
+      accountWasCreated: false,
+    };
+  }
 
   if (accountInvitation) {
     // ROUTE A: Account exists - use continuing invitation
@@ -610,27 +954,134 @@ async function makeOffer({ messages, totalAmount, denom }) {
       accountInvitation.id
     );
 
-    invitationSpec = {
-      source: "continuing",
-      previousOffer: accountInvitation.id,
-      invitationMakerName: "makeTransactionInvitation",
-      invitationArgs: harden(["sendTransactions", [{ messages }]]),
+    return {
+      invitationSpec: {
+        source: "continuing",
+        previousOffer: accountInvitation.id,
+        invitationMakerName: "makeTransactionInvitation",
+        invitationArgs: harden(["sendTransactions", [{ messages }]]),
+      },
+      proposal,
+      offerArgs: {}, // Args are in invitationArgs
+      accountWasCreated: false,
     };
-    offerArgs = {}; // Args are in invitationArgs
-  } else {
-    // ROUTE B: No account - use public invitation (creates account + performs action)
-    console.log(
-      "[Agoric Sandbox] No account found - will create account and perform action in one transaction"
-    );
+  }
+
+  // ROUTE B: No account - use public invitation (creates account + performs action)
+  console.log(
+    "[Agoric Sandbox] No account found - will create account and perform action in one transaction"
+  );
 
-    invitationSpec = {
+  return {
+    invitationSpec: {
       source: "contract",
       instance: state.contractInstance,
-      publicInvitationMaker: "createQstnAccountKit",
-    };
-    offerArgs = { messages }; // Pass messages in offerArgs
-    accountWasCreated = true;
-  }
+      publicInvitationMaker: getContract().publicInvitationMaker,
+    },
+    proposal,
+    offerArgs: { messages }, // Pass messages in offerArgs
+    accountWasCreated: true,
+  };
+}
+
+/**
+ * Wait for the final status of an offer
+ *
+ * The smart wallet publishes an offerStatus update carrying `payouts`
+ * (and the offer `result`) once Zoe has paid the offer out.
+ *
+ * @param {number} offerId
+ * @returns {Promise<Object | null>} The offerStatus, or null if none arrives in time
+ */
+function watchOfferOutcome(offerId) {
+  const outcome = makeReadySignal(`payouts of offer ${offerId}`);
+  const unsubscribe = state.watcher.watchLatest(
+    [Kind.Data, `published.wallet.${state.wallet.address}`],
+    (update) => {
+      if (
+        update?.updated === "offerStatus" &&
+        String(update.status?.id) === String(offerId) &&
+        update.status.payouts
+      ) {
+        outcome.set(update.status);
+      }
+    }
+  );
+
+  return outcome
+    .wait({ timeoutMs: settings.chainDataTimeoutMs })
+    .catch((error) => {
+      console.warn("[Agoric Sandbox] No payouts seen:", error.message);
+      return null;
+    })
+    .finally(unsubscribe);
+}
+
+/**
+ * Describe Zoe payouts as plain data for the parent
+ *
+ * Only amounts of fungible brands are included.
+ *
+ * @param {Object | null} payouts - Keyword to { brand, value }
+ * @returns {Object<string, { denom: string | null, brand: string | null, value: string, formatted: string | null }>}
+ */
+function describePayouts(payouts) {
+  return Object.fromEntries(
+    Object.entries(payouts || {})
+      .filter(([, amount]) => typeof amount?.value === "bigint")
+      .map(([keyword, { brand, value }]) => {
+        const brandKey = getBrandName(brand);
+        const asset = getAssetByBrandKey(brandKey);
+        return [
+          keyword,
+          {
+            denom: asset?.denom || null,
+            brand: brandKey,
+            value: value.toString(),
+            formatted: formatAmount(value, asset?.decimals),
+          },
+        ];
+      })
+  );
+}
+
+/**
+ * Make an offer using the smart wallet
+ *
+ * NOTE: This is the core function for interacting with Agoric smart contracts
+ * Automatically handles proposal creation, account routing, and state management
+ *
+ * @param {Object} params
+ * @param {Array} params.messages - Transaction messages
+ * @param {Object} params.proposal - Resolved give/want (see proposals.js)
+ * @param {string} [params.surveyId] - Survey the offer is for (used in events)
+ * @param {string[]} [params.surveyIds] - Surveys a batched offer is for
+ * @param {boolean} [params.collectPayouts] - Wait for and return Zoe payouts and the offer result
+ * @param {boolean} [params.createAccount] - Create a new kit even if one exists
+ * @param {Object} [params.invitationMaker] - See buildOffer
+ * @returns {Promise<OfferResult>} Offer result with status and transaction data
+ */
+async function makeOffer({
+  messages,
+  proposal: resolved,
+  surveyId,
+  surveyIds,
+  collectPayouts = false,
+  createAccount = false,
+  invitationMaker,
+}) {
+  const { invitationSpec, proposal, offerArgs, accountWasCreated } =
+    await buildOffer({
+      messages,
+      proposal: resolved,
+      createAccount,
+      invitationMaker,
+    });
+  // Last chance to drop a cancelled request: nothing is recorded yet
+  throwIfCancelled();
+  // A wallet may already hold kits; the new one is the one after this
+  const previousAccountId =
+    findAccountInvitation(state.currentWalletRecord)?.id ?? null;
 
   console.log("[Agoric Sandbox] Making offer:", {
     invitationSpec,
@@ -638,31 +1089,78 @@ async function makeOffer({ messages, totalAmount, denom }) {
     offerArgs,
   });
 
+  // Our own id, so the offer's transaction can be found exactly later
+  const offerId = Date.now();
+  // Transaction search starts here
+  const fromHeight = await getLatestHeight(
+    getConfig(state.network).REST_ENDPOINTS
+  );
+  // Persisted first, so the outcome can be recovered after a reload
+  recordOffer({
+    offerId,
+    surveyId,
+    surveyIds,
+    address: state.wallet.address,
+    network: state.network,
+    fromHeight,
+  });
+  // Subscribed before submitting so the payout update cannot be missed
+  const outcomePromise = collectPayouts ? watchOfferOutcome(offerId) : null;
+
   return new Promise((resolve, reject) => {
     // Store transaction data from seated status
     let seatedData = null;
+    let newAccountInvitation = null;
+
+    // Failures before the offer is on chain never reach the status callback
+    const failSubmission = (error) => {
+      console.error("[Agoric Sandbox] makeOffer failed:", error);
+      updateOffer(offerId, {
+        status: OFFER_STATUS.ERROR,
+        error: getErrorMessage(error),
+      });
+      emitEvent(EVENTS.OFFER_STATUS, {
+        offerId,
+        surveyId: surveyId ?? null,
+        surveyIds: surveyIds ?? (surveyId ? [surveyId] : []),
+        status: "error",
+        txHash: null,
+      });
+      reject(classifyError(error, ERROR_CODES.OFFER_REJECTED));
+    };
 
     try {
-      state.wallet.makeOffer(
-        invitationSpec,
-        proposal,
-        offerArgs,
+      const submitted = submitOffer(
+        { id: offerId, invitationSpec, proposal, offerArgs },
         async (update) => {
           console.log("[Agoric Sandbox] Offer status update:", update);
+          emitEvent(EVENTS.OFFER_STATUS, {
+            offerId,
+            surveyId: surveyId ?? null,
+            surveyIds: surveyIds ?? (surveyId ? [surveyId] : []),
+            status: update.status,
+            txHash: update.data?.txn?.transactionHash || null,
+          });
 
           switch (update.status) {
             case "error": {
               const errorMsg = getErrorMessage(update.data);
               console.error("[Agoric Sandbox] Offer error:", errorMsg);
-              reject(new Error(errorMsg));
+              updateOffer(offerId, {
+                status: OFFER_STATUS.ERROR,
+                error: errorMsg,
+              });
+              // Wallet and chain failures are reported here too
+              reject(classifyError(update.data, ERROR_CODES.OFFER_REJECTED));
               break;
             }
             case "seated":
               console.log("[Agoric Sandbox] Offer seated (pending)");
               seatedData = update.data;
+              updateOffer(offerId, { seated: true });
               break;
 
-            case "accepted":
+            case "accepted": {
               console.log("[Agoric Sandbox] Offer accepted!");
 
               if (accountWasCreated) {
@@ -670,12 +1168,30 @@ async function makeOffer({ messages, totalAmount, denom }) {
                   "[Agoric Sandbox] Account created, fetching invitation..."
                 );
 
-                await new Promise((res) => setTimeout(res, 2000));
-
-                const newAccountInvitation = await getAccountInvitation();
+                // Wait for the wallet record that lists the new account kit
+                newAccountInvitation = await chainData.walletRecord
+                  .wait({
+                    timeoutMs: settings.chainDataTimeoutMs,
+                    until: (record) => {
+                      const latest = findAccountInvitation(record);
+                      return !!latest && latest.id !== previousAccountId;
+                    },
+                  })
+                  .then(findAccountInvitation)
+                  .catch((error) => {
+                    console.warn(
+                      "[Agoric Sandbox] Account kit not yet visible:",
+                      error.message
+                    );
+                    return null;
+                  });
                 if (newAccountInvitation) {
                   state.accountInvitation = newAccountInvitation;
                   state.hasAccount = true;
+                  emitEvent(EVENTS.ACCOUNT_CREATED, {
+                    address: state.wallet.address,
+                    accountInvitationId: newAccountInvitation.id,
+                  });
                   console.log(
                     "[Agoric Sandbox] Account invitation stored:",
                     newAccountInvitation.id
@@ -684,14 +1200,17 @@ async function makeOffer({ messages, totalAmount, denom }) {
               }
 
               // Use seatedData if available, otherwise try update.data, otherwise fetch from API
-              let finalData = seatedData || update.data;
+              let finalData = seatedData?.txn ? seatedData : update.data;
 
-              // If no transaction data available, fetch last transaction from API
+              // If no transaction data available, search for the offer's transaction
               if (!finalData || !finalData.txn) {
                 console.log(
                   "[Agoric Sandbox] No transaction data in status updates, fetching from API..."
                 );
-                const apiTxData = await getLastTransaction();
+                const apiTxData = await lookupOfferTransaction(
+                  offerId,
+                  fromHeight
+                );
                 if (apiTxData) {
                   finalData = apiTxData;
                   console.log(
@@ -700,20 +1219,53 @@ async function makeOffer({ messages, totalAmount, denom }) {
                   );
                 } else {
                   console.warn(
-                    "[Agoric Sandbox] Could not fetch transaction data from API"
+                    "[Agoric Sandbox] Offer transaction not found, reporting as unconfirmed"
                   );
                 }
               }
 
+              updateOffer(offerId, {
+                status: OFFER_STATUS.ACCEPTED,
+                tx: finalData?.txn
+                  ? {
+                      txHash: finalData.txn.transactionHash,
+                      height: finalData.txn.height,
+                    }
+                  : null,
+              });
+
+              const outcome = collectPayouts
+                ? update.data?.payouts
+                  ? update.data
+                  : await outcomePromise
+                : undefined;
+
               resolve({
                 status: "accepted",
-                data: finalData,
+                offerId,
+                confirmed: !!finalData?.txn,
+                data: finalData?.txn ? finalData : undefined,
+                payouts: outcome?.payouts,
+                result: outcome?.result,
+                accountInvitationId: newAccountInvitation?.id ?? null,
               });
               break;
+            }
+
+            case "unknown":
+              console.warn("[Agoric Sandbox] Offer outcome unknown");
+              // Stays pending; the next resume settles it
+              releaseOffer(offerId);
+              reject(update.data);
+              break;
 
             case "refunded":
               console.warn("[Agoric Sandbox] Offer refunded");
-              reject(new Error("Offer was refunded (wants not satisfied)"));
+              updateOffer(offerId, { status: OFFER_STATUS.REFUNDED });
+              reject({
+                code: ERROR_CODES.OFFER_REFUNDED,
+                message: "Offer was refunded (wants not satisfied)",
+              });
               break;
 
             default:
@@ -721,30 +1273,13 @@ async function makeOffer({ messages, totalAmount, denom }) {
           }
         }
       );
+      // Simulation, signing and broadcast failures reject this promise
+      submitted.catch(failSubmission);
     } catch (error) {
-      console.error("[Agoric Sandbox] makeOffer failed:", error);
-      reject(error);
+      failSubmission(error);
     }
   });
 }
-async function makeADR036AminoDoc(message, signerAddr) {
-  return makeSignDoc(
-    [
-      {
-        type: "sign/MsgSignData",
-        value: {
-          signer: signerAddr,
-          data: Buffer.from(message).toString("base64"),
-        },
-      },
-    ],
-    { gas: "0", amount: [] },
-    "",
-    undefined,
-    0,
-    0
-  );
-}
 
 /**
  * Sign data with wallet
@@ -757,49 +1292,60 @@ async function signData({ data }) {
     console.log("[Agoric Sandbox] Signing data:", data);
     updateStatus("Signing data...", "loading");
 
-    const { keplr } = window;
-
-    if (!keplr) {
-      throw new Error("Keplr wallet not found");
-    }
-
     // Ensure wallet is connected
     if (!state.wallet) {
       await connectWallet({ network: state.network });
     }
 
-    const signDoc = await makeADR036AminoDoc(data, state.wallet.address);
-
     const config = getConfig(state.network);
+    const adapter = getWalletAdapter(state.walletType);
 
-    const signResponse = await keplr.signAmino(
+    throwIfCancelled();
+    const signResponse = await adapter.signArbitrary(
       config.CHAIN_ID,
       state.wallet.address,
-      signDoc
+      data
     );
 
     return {
+      proof: makeADR036Proof({ chainId: config.CHAIN_ID, signResponse }),
       signedData: signResponse.signed,
       signature: signResponse.signature,
     };
   } catch (error) {
     console.error("[Agoric Sandbox] Data signing failed:", error);
     updateStatus(`Signing failed: ${error.message}`, "error");
-    throw { code: "SIGNING_FAILED", message: error.message };
+    throw classifyError(error, "SIGNING_FAILED");
   }
 }
 
 /**
  * Fund a survey
  *
- * TODO: Replace with your actual contract interaction
+ * Pays with any agoricNames vbank asset, or several: `give` maps Zoe
+ * keywords to { denom, value }. `denom` + `totalAmount` is shorthand
+ * for give.Deposit.
  */
-async function fundSurvey({ surveyId, messages, denom, totalAmount }) {
+async function fundSurvey({
+  surveyId,
+  messages,
+  denom,
+  totalAmount,
+  give,
+  want,
+}) {
+  const proposal = validateOfferParams({
+    messages,
+    denom,
+    totalAmount,
+    give,
+    want,
+  });
+
   try {
     console.log("[Agoric Sandbox] Funding survey:", {
       surveyId,
-      totalAmount,
-      denom,
+      give: describeAmounts(proposal.give),
     });
     updateStatus(`Funding survey ${surveyId}...`, "loading");
 
@@ -807,281 +1353,1395 @@ async function fundSurvey({ surveyId, messages, denom, totalAmount }) {
     if (!state.wallet) {
       await connectWallet();
     }
+    await ensureSigningEndpoint();
 
     // Make the offer - makeOffer handles everything (brand, proposal, account routing)
     const result = await makeOffer({
       messages,
-      totalAmount,
-      denom,
+      proposal,
+      surveyId,
     });
 
     updateStatus(`Survey funded! Offer accepted.`, "success");
 
     return {
       success: true,
-      offerId: result.data?.offerId || "unknown",
-      txHash: result.data?.txn?.transactionHash || "unknown",
-      height: 0,
+      offerId: result.offerId,
+      give: describeAmounts(proposal.give),
+      // null when the transaction could not be found (see `confirmed`)
+      txHash: result.data?.txn?.transactionHash || null,
+      height: result.data?.txn?.height || null,
+      confirmed: result.confirmed,
     };
   } catch (error) {
     console.error("[Agoric Sandbox] Fund survey failed:", error);
     const errorMsg = getErrorMessage(error);
     updateStatus(`Transaction failed: ${errorMsg}`, "error");
 
-    throw { code: "TRANSACTION_FAILED", message: errorMsg };
+    throw classifyError(error, "TRANSACTION_FAILED");
   }
 }
 
 /**
- * Sponsor participant gas fees
- * Sends tokens from user's wallet to the backend sponsor wallet
- * This funds the gas for participants to claim their rewards
+ * Fund several surveys with one offer
+ *
+ * The surveys' messages go into a single sendTransactions invitation (or
+ * one account-creation offer) and their deposits are summed per keyword,
+ * so the user signs once. Surveys that fail validation are reported and
+ * left out; the rest are funded together, all or nothing.
  *
  * @param {Object} params
- * @param {string} params.destinationAddress - Backend sponsor wallet address
- * @param {string} params.amount - Amount to send (in smallest unit, e.g., ubld)
- * @param {string} params.denom - Token denomination (e.g., "ubld")
- * @returns {Promise<{success: boolean, txHash: string}>}
+ * @param {Array<Object>} params.surveys - FUND_SURVEY parameters, one per survey
+ * @returns {Promise<Object>} Batch result with one entry per survey
  */
-async function sponsorParticipantGas({ destinationAddress, amount, denom }) {
-  try {
-    console.log("[Agoric Sandbox] Sponsoring participant gas:", {
-      destinationAddress,
-      amount,
-      denom,
-    });
-    updateStatus(`Sending gas sponsorship...`, "loading");
-
-    // Ensure wallet is connected
-    if (!state.wallet) {
-      await connectWallet();
-    }
-
-    // Get the signing client from the wallet connection
-    const signingClient = state.wallet.signingClient;
-
-    if (!signingClient) {
-      throw new Error("Signing client not available");
-    }
-
-    // Create bank send message
-    const msg = {
-      typeUrl: "/cosmos.bank.v1beta1.MsgSend",
-      value: {
-        fromAddress: state.wallet.address,
-        toAddress: destinationAddress,
-        amount: [{ denom, amount }],
-      },
-    };
-
-    // Fee for the transaction
-    const fee = {
-      amount: [{ denom: "ubld", amount: "5000" }],
-      gas: "200000",
+async function fundSurveysBatch({ surveys } = {}) {
+  if (!Array.isArray(surveys) || surveys.length === 0) {
+    throw {
+      code: "INVALID_BATCH",
+      message: "surveys must be a non-empty array",
     };
+  }
 
-    console.log("[Agoric Sandbox] Sending bank transfer:", msg);
-
-    const result = await signingClient.signAndBroadcast(
-      state.wallet.address,
-      [msg],
-      fee,
-      "QSTN Gas Sponsorship"
-    );
-
-    console.log("[Agoric Sandbox] Gas sponsorship result:", result);
-
-    if (result.code !== 0) {
-      throw new Error(
-        `Transaction failed with code ${result.code}: ${result.rawLog}`
-      );
+  // Pre-flight each survey on its own so one bad entry is reported alone
+  const results = [];
+  const included = [];
+  let give = {};
+  surveys.forEach((survey, index) => {
+    const surveyId = survey?.surveyId ?? null;
+    try {
+      if (!surveyId) {
+        throw { code: "INVALID_BATCH", message: "surveyId is required" };
+      }
+      if (included.some((entry) => entry.surveyId === surveyId)) {
+        throw { code: "INVALID_BATCH", message: "Duplicate surveyId" };
+      }
+      const proposal = validateOfferParams(survey);
+      if (Object.keys(proposal.want).length > 0) {
+        throw {
+          code: PROPOSAL_ERRORS.INVALID_PROPOSAL,
+          message: "Batched fundings cannot want anything",
+        };
+      }
+      give = addKeywordRecords(give, proposal.give);
+      included.push({ index, surveyId, survey, proposal });
+    } catch (error) {
+      results[index] = {
+        surveyId,
+        success: false,
+        error: classifyError(error, "INVALID_BATCH"),
+      };
     }
+  });
 
-    updateStatus(`Gas sponsorship sent!`, "success");
-
-    return {
-      success: true,
-      txHash: result.transactionHash,
+  if (included.length === 0) {
+    throw {
+      code: "INVALID_BATCH",
+      message: `No valid surveys in batch: ${results
+        .map((result) => `${result.surveyId}: ${result.error.message}`)
+        .join("; ")}`,
     };
-  } catch (error) {
-    console.error("[Agoric Sandbox] Gas sponsorship failed:", error);
-    const errorMsg = getErrorMessage(error);
-    updateStatus(`Gas sponsorship failed: ${errorMsg}`, "error");
-
-    throw { code: "SPONSOR_FAILED", message: errorMsg };
   }
-}
 
-/**
- * Claim rewards
- *
- * TODO: Replace with your actual contract interaction
- */
-async function claimRewards({ surveyId, messages, denom, totalAmount }) {
+  const surveyIds = included.map((entry) => entry.surveyId);
+
   try {
-    console.log("[Agoric Sandbox] Claiming rewards:", {
-      surveyId,
-      totalAmount,
+    console.log("[Agoric Sandbox] Funding surveys:", {
+      surveyIds,
+      give: describeAmounts(give),
     });
-    updateStatus(`Claiming rewards for survey ${surveyId}...`, "loading");
+    updateStatus(`Funding ${surveyIds.length} surveys...`, "loading");
 
     // Ensure wallet is connected
     if (!state.wallet) {
       await connectWallet();
     }
+    await ensureSigningEndpoint();
 
-    // Make the offer - makeOffer handles everything (brand, proposal, account routing)
     const result = await makeOffer({
-      messages,
-      totalAmount,
-      denom,
+      messages: included.flatMap((entry) => entry.survey.messages),
+      proposal: { give, want: {} },
+      surveyIds,
     });
 
-    updateStatus(`Rewards claimed!`, "success");
+    included.forEach(({ index, surveyId, proposal }) => {
+      results[index] = {
+        surveyId,
+        success: true,
+        give: describeAmounts(proposal.give),
+      };
+    });
+
+    updateStatus(`${surveyIds.length} surveys funded!`, "success");
 
     return {
-      success: true,
-      offerId: result.data?.offerId || "unknown",
-      txHash: result.data?.txn?.transactionHash || "unknown",
-      height: 0,
+      success: included.length === surveys.length,
+      offerId: result.offerId,
+      give: describeAmounts(give),
+      // null when the transaction could not be found (see `confirmed`)
+      txHash: result.data?.txn?.transactionHash || null,
+      height: result.data?.txn?.height || null,
+      confirmed: result.confirmed,
+      results,
     };
   } catch (error) {
-    console.error("[Agoric Sandbox] Claim rewards failed:", error);
+    console.error("[Agoric Sandbox] Batch funding failed:", error);
     const errorMsg = getErrorMessage(error);
-    updateStatus(`Claim failed: ${errorMsg}`, "error");
+    updateStatus(`Transaction failed: ${errorMsg}`, "error");
 
-    throw { code: "CLAIM_FAILED", message: errorMsg };
+    throw classifyError(error, "TRANSACTION_FAILED");
   }
 }
 
+const SPONSOR_MEMO = "QSTN Gas Sponsorship";
+
+// Commands SIMULATE can dry-run
+const SIMULATED_COMMANDS = [
+  COMMANDS.FUND_SURVEY,
+  COMMANDS.CLAIM_REWARDS,
+  COMMANDS.SPONSOR_PARTICIPANT_GAS,
+];
+
 /**
- * Initialize the sandbox
+ * Pre-flight checks for FUND_SURVEY parameters
+ * @returns {Object} Resolved give/want (see proposals.js)
  */
-async function initialize() {
-  try {
-    console.log("[Agoric Sandbox] Initializing...");
-    updateStatus("Initializing sandbox...", "loading");
+function validateOfferParams({ messages, ...amounts } = {}) {
+  validateMessages(messages);
+  return resolveProposal(amounts);
+}
 
-    // Setup chain storage watcher
-    // This initializes the watcher that will be used by wallet connection
-    console.log("[Agoric Sandbox] Setting up watcher...");
-    await setupWatcher({ network: "mainnet" });
+/**
+ * Pre-flight checks for CLAIM_REWARDS parameters
+ *
+ * Claims must never deposit, so any `give` is refused.
+ *
+ * @returns {Object} Resolved proposal with an empty give
+ */
+function validateClaimParams({ messages, give, want } = {}) {
+  validateMessages(messages);
+  if (give && Object.keys(give).length > 0) {
+    throw {
+      code: PROPOSAL_ERRORS.INVALID_PROPOSAL,
+      message: "A claim cannot give anything; use want for the reward",
+    };
+  }
+  return want && Object.keys(want).length > 0
+    ? resolveProposal({ give: {}, want })
+    : { give: {}, want: {} };
+}
 
-    // Wait for watcher to sync initial data (brands, instances, etc.)
-    console.log("[Agoric Sandbox] Waiting for initial chain data sync...");
-    await new Promise((resolve) => setTimeout(resolve, 2000));
+/**
+ * Pre-flight checks for SPONSOR_PARTICIPANT_GAS parameters
+ */
+function validateSponsorParams({ destinationAddress, amount, denom } = {}) {
+  validateAddress("destinationAddress", destinationAddress);
+  validateAmount("amount", amount);
+  validateDenom("denom", denom);
+}
 
-    state.isInitialized = true;
-    state.network = "mainnet";
+/**
+ * Create the bank send that sponsors participant gas
+ */
+function makeSponsorMessage({ destinationAddress, amount, denom }) {
+  return {
+    typeUrl: "/cosmos.bank.v1beta1.MsgSend",
+    value: {
+      fromAddress: state.wallet.address,
+      toAddress: destinationAddress,
+      amount: [{ denom, amount }],
+    },
+  };
+}
 
-    updateStatus("Sandbox ready - waiting for commands", "success");
-    console.log("[Agoric Sandbox] Ready to receive messages");
+/**
+ * Create the smart-wallet message that carries an offer
+ *
+ * @param {Object} offer - { id, invitationSpec, proposal, offerArgs }
+ */
+function makeSpendActionMessage(offer) {
+  const action = harden({ method: "executeOffer", offer });
 
-    // Notify parent that sandbox is ready
-    window.parent.postMessage(
-      {
-        type: "AGORIC_READY",
-      },
-      "*"
-    );
-  } catch (error) {
-    console.error("[Agoric Sandbox] Initialization failed:", error);
-    updateStatus(`Initialization failed: ${error.message}`, "error");
-    throw error;
-  }
+  return {
+    typeUrl: "/agoric.swingset.MsgWalletSpendAction",
+    value: {
+      // Base64, as the Amino converter expects; protobuf accepts it too
+      owner: toBase64(fromBech32(state.wallet.address).data),
+      spendAction: JSON.stringify(state.watcher.marshaller.toCapData(action)),
+    },
+  };
 }
 
 /**
- * Message handler for parent window communication
+ * Sign and broadcast messages with simulated gas
+ *
+ * The fee is the simulated gas times settings.gasMultiplier, at
+ * GAS_PRICE: the same figure SIMULATE reports.
+ *
+ * @param {Array<{ typeUrl: string, value: Object }>} messages
+ * @param {string} [memo]
+ * @returns {Promise<Object>} cosmjs DeliverTxResponse of a successful tx
  */
-window.addEventListener("message", async (event) => {
-  // const allowedOrigins = ["https://yourdomain.com", "http://localhost:3000"];
-
-  // if (!allowedOrigins.includes(event.origin)) {
-  //   console.error("[Agoric Sandbox] Invalid origin:", event.origin);
-  //   return;
-  // }
+async function signAndBroadcast(messages, memo) {
+  const { signingClient, address } = state.wallet;
+  if (!signingClient) {
+    throw new Error("Signing client not available");
+  }
 
-  const { type, data, id } = event.data;
+  const gasUsed = await simulateGas(signingClient, address, messages, memo);
+  const fee = calculateFee(gasUsed, settings.gasMultiplier);
+  console.log("[Agoric Sandbox] Broadcasting with fee:", fee);
+  throwIfCancelled();
+
+  const result = await signingClient
+    .signAndBroadcast(address, messages, fee, memo)
+    .catch((error) => {
+      // fetch() failures surface as TypeError: the node, not the tx, failed
+      if (error instanceof TypeError) {
+        markEndpointFailed(state.endpoints.rpc, error.message);
+      }
+      throw error;
+    });
 
-  // Ignore our own response messages
-  if (type === "AGORIC_RESPONSE" || type === "AGORIC_READY") {
-    return;
+  if (result.code !== 0) {
+    const failure = new Error(
+      `Transaction failed with code ${result.code}: ${result.rawLog}`
+    );
+    // Shaped like cosmjs' BroadcastTxError, for classifyError
+    throw Object.assign(failure, {
+      code: result.code,
+      codespace: result.codespace,
+      log: result.rawLog,
+      txHash: result.transactionHash,
+    });
   }
+  return result;
+}
 
-  console.log("[Agoric Sandbox] Received message:", type, data);
+/**
+ * Map a final offerStatus to a makeOffer-style status update
+ *
+ * @param {{ error?: *, numWantsSatisfied?: number } | null} offerStatus
+ * @returns {{ status: string, data: * } | null} null while unfinished
+ */
+function readOfferOutcome(offerStatus) {
+  const { error, numWantsSatisfied } = offerStatus || {};
+  if (error) {
+    return { status: "error", data: error };
+  }
+  if (numWantsSatisfied === 1) {
+    return { status: "accepted", data: offerStatus };
+  }
+  if (numWantsSatisfied === 0) {
+    return { status: "refunded", data: offerStatus };
+  }
+  return null;
+}
 
-  try {
-    let result;
+/**
+ * Submit an offer through the smart wallet
+ *
+ * Broadcasts MsgWalletSpendAction with simulated gas and reports progress
+ * the way the wallet connection's makeOffer does: "seated" once the
+ * transaction is in a block, then "accepted", "refunded" or "error" from
+ * the wallet's offerStatus.
+ *
+ * The watcher only sees the latest wallet update, so a later one can hide
+ * the offer's. After OFFER_OUTCOME_TIMEOUT_MS the outcome is read back
+ * over REST instead, and "unknown" is reported if it is not there either.
+ *
+ * @param {Object} offer - { id, invitationSpec, proposal, offerArgs }
+ * @param {(update: { status: string, data: * }) => void} onStatusChange
+ * @returns {Promise<void>} Rejects when the offer could not be broadcast
+ */
+function submitOffer(offer, onStatusChange) {
+  const { address } = state.wallet;
+  const restEndpoints = getConfig(state.network).REST_ENDPOINTS;
+  const broadcast = signAndBroadcast([makeSpendActionMessage(offer)]);
+
+  // Final status seen by the watcher, possibly before the broadcast returns
+  let seen = null;
+  let seated = false;
+  let finished = false;
+  let deadline = null;
+
+  const finish = (outcome) => {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    clearTimeout(deadline);
+    unsubscribe();
+    onStatusChange(outcome);
+  };
 
-    switch (type) {
-      case "CONNECT_WALLET":
-        result = await connectWallet(data);
-        break;
+  const unsubscribe = state.watcher.watchLatest(
+    [Kind.Data, `published.wallet.${address}`],
+    (update) => {
+      if (
+        update?.updated !== "offerStatus" ||
+        String(update.status?.id) !== String(offer.id)
+      ) {
+        return;
+      }
+      seen = readOfferOutcome(update.status) || seen;
+      // Zoe may publish the outcome before the broadcast returns
+      if (seen && seated) {
+        finish(seen);
+      }
+    }
+  );
 
-      case "SIGN_DATA":
-        result = await signData(data);
-        break;
+  const readBack = async (height) => {
+    const offerStatus = await findOfferStatus({
+      restEndpoints,
+      address,
+      offerId: offer.id,
+      fromHeight: height,
+    });
+    finish(
+      readOfferOutcome(offerStatus) || {
+        status: "unknown",
+        data: {
+          code: ERROR_CODES.OFFER_OUTCOME_UNKNOWN,
+          message: `No outcome seen for offer ${offer.id}; it is still pending`,
+        },
+      }
+    );
+  };
 
-      case "FUND_SURVEY":
-        result = await fundSurvey(data);
+  return broadcast.then(
+    (result) => {
+      seated = true;
+      onStatusChange({
+        status: "seated",
+        data: { txn: result, offerId: offer.id },
+      });
+      if (seen) {
+        finish(seen);
+        return;
+      }
+      deadline = setTimeout(
+        () => readBack(result.height),
+        OFFER_OUTCOME_TIMEOUT_MS
+      );
+    },
+    (error) => {
+      finished = true;
+      unsubscribe();
+      throw error;
+    }
+  );
+}
+
+/**
+ * Dry-run a command: validate it, simulate its gas and estimate fees
+ *
+ * Nothing is signed or broadcast. The wallet must already be connected.
+ *
+ * @param {Object} params
+ * @param {string} params.command - FUND_SURVEY, CLAIM_REWARDS or SPONSOR_PARTICIPANT_GAS
+ * @param {Object} params.data - The parameters the command would be sent with
+ * @returns {Promise<Object>} Gas estimate, fee and affordability
+ */
+async function simulate({ command, data = {} } = {}) {
+  if (!SIMULATED_COMMANDS.includes(command)) {
+    throw {
+      code: PROTOCOL_ERRORS.UNSUPPORTED_COMMAND,
+      message: `SIMULATE supports ${SIMULATED_COMMANDS.join(", ")}`,
+    };
+  }
+
+  const isSponsor = command === COMMANDS.SPONSOR_PARTICIPANT_GAS;
+  // What the command would pay, per denom
+  let spend;
+  let proposal;
+  if (isSponsor) {
+    validateSponsorParams(data);
+    spend = new Map([[data.denom, BigInt(data.amount)]]);
+  } else {
+    proposal =
+      command === COMMANDS.CLAIM_REWARDS
+        ? validateClaimParams(data)
+        : validateOfferParams(data);
+    spend = sumByDenom(proposal.give);
+  }
+
+  // A dry run must not open the connect prompt
+  requireWallet();
+  await ensureSigningEndpoint();
+
+  let message;
+  if (isSponsor) {
+    message = makeSponsorMessage(data);
+  } else {
+    const offer = await buildOffer({ messages: data.messages, proposal });
+    message = makeSpendActionMessage({
+      id: Date.now(),
+      invitationSpec: offer.invitationSpec,
+      proposal: offer.proposal,
+      offerArgs: offer.offerArgs,
+    });
+  }
+  const gasUsed = await simulateGas(
+    state.wallet.signingClient,
+    state.wallet.address,
+    [message],
+    isSponsor ? SPONSOR_MEMO : undefined
+  );
+  const fee = calculateFee(gasUsed, settings.gasMultiplier);
+
+  const { affordable, shortfall } = await checkSpend(spend, fee);
+
+  return {
+    command,
+    valid: true,
+    gasUsed,
+    gasMultiplier: settings.gasMultiplier,
+    fee,
+    affordable,
+    shortfall,
+  };
+}
+
+/**
+ * Sponsor participant gas fees
+ * Sends tokens from user's wallet to the backend sponsor wallet
+ * This funds the gas for participants to claim their rewards
+ *
+ * @param {Object} params
+ * @param {string} params.destinationAddress - Backend sponsor wallet address
+ * @param {string} params.amount - Amount to send (in smallest unit, e.g., ubld)
+ * @param {string} params.denom - Token denomination (e.g., "ubld")
+ * @returns {Promise<{success: boolean, txHash: string}>}
+ */
+async function sponsorParticipantGas({ destinationAddress, amount, denom }) {
+  validateSponsorParams({ destinationAddress, amount, denom });
+
+  try {
+    console.log("[Agoric Sandbox] Sponsoring participant gas:", {
+      destinationAddress,
+      amount,
+      denom,
+    });
+    updateStatus(`Sending gas sponsorship...`, "loading");
+
+    // Ensure wallet is connected
+    if (!state.wallet) {
+      await connectWallet();
+    }
+    await ensureSigningEndpoint();
+
+    const msg = makeSponsorMessage({ destinationAddress, amount, denom });
+    console.log("[Agoric Sandbox] Sending bank transfer:", msg);
+    const result = await signAndBroadcast([msg], SPONSOR_MEMO);
+
+    console.log("[Agoric Sandbox] Gas sponsorship result:", result);
+
+    updateStatus(`Gas sponsorship sent!`, "success");
+
+    return {
+      success: true,
+      txHash: result.transactionHash,
+    };
+  } catch (error) {
+    console.error("[Agoric Sandbox] Gas sponsorship failed:", error);
+    const errorMsg = getErrorMessage(error);
+    updateStatus(`Gas sponsorship failed: ${errorMsg}`, "error");
+
+    throw classifyError(error, "SPONSOR_FAILED");
+  }
+}
+
+/**
+ * Claim rewards
+ *
+ * A claim gives nothing: it is an offer that optionally `want`s the
+ * reward, and returns what Zoe paid out.
+ */
+async function claimRewards({ surveyId, messages, give, want }) {
+  const proposal = validateClaimParams({ messages, give, want });
+
+  try {
+    console.log("[Agoric Sandbox] Claiming rewards:", {
+      surveyId,
+      want: describeAmounts(proposal.want),
+    });
+    updateStatus(`Claiming rewards for survey ${surveyId}...`, "loading");
+
+    // Ensure wallet is connected
+    if (!state.wallet) {
+      await connectWallet();
+    }
+    await ensureSigningEndpoint();
+
+    // Make the offer - makeOffer handles everything (brand, proposal, account routing)
+    const result = await makeOffer({
+      messages,
+      proposal,
+      surveyId,
+      collectPayouts: true,
+    });
+
+    updateStatus(`Rewards claimed!`, "success");
+
+    return {
+      success: true,
+      offerId: result.offerId,
+      // Empty when the claim paid out through the account's messages
+      // rather than through Zoe
+      payouts: describePayouts(result.payouts),
+      // null when the transaction could not be found (see `confirmed`)
+      txHash: result.data?.txn?.transactionHash || null,
+      height: result.data?.txn?.height || null,
+      confirmed: result.confirmed,
+    };
+  } catch (error) {
+    console.error("[Agoric Sandbox] Claim rewards failed:", error);
+    const errorMsg = getErrorMessage(error);
+    updateStatus(`Claim failed: ${errorMsg}`, "error");
+
+    throw classifyError(error, "CLAIM_FAILED");
+  }
+}
+
+/**
+ * Fail unless a wallet is connected (for read-only commands that should
+ * not open a wallet prompt)
+ */
+function requireWallet() {
+  if (!state.wallet) {
+    throw {
+      code: "WALLET_NOT_CONNECTED",
+      message: "Wallet not connected. Call CONNECT_WALLET first.",
+    };
+  }
+}
+
+/**
+ * Convert published chain data to something postMessage can carry
+ *
+ * Bigints become strings and remotables (brands, instances) their
+ * alleged name.
+ */
+function toPlainData(value) {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlainData);
+  }
+  if (value && typeof value === "object") {
+    // Copy records are plain objects; remotables have their own prototype
+    if (Object.getPrototypeOf(value) !== Object.prototype) {
+      return getBrandName(value) || String(value);
+    }
+    return Object.fromEntries(
+      Object.entries(value).map(([key, entry]) => [key, toPlainData(entry)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Read the current value at a vstorage path once
+ *
+ * @param {string} path - e.g. "published.qstn.accounts.agoric1..."
+ * @returns {Promise<any>} The value, or null if none arrives in time
+ */
+function readPublished(path) {
+  const published = makeReadySignal(path);
+  // A path with no data is reported as undefined
+  const unsubscribe = state.watcher.watchLatest([Kind.Data, path], (value) =>
+    published.set(value ?? null)
+  );
+
+  return published
+    .wait({ timeoutMs: settings.chainDataTimeoutMs })
+    .catch(() => null)
+    .finally(unsubscribe);
+}
+
+/**
+ * Describe an account kit from the wallet record and published state
+ *
+ * @param {{ id: string, invitation: any }} accountInvitation
+ * @param {Object} record - published.wallet.<addr>.current
+ * @returns {Promise<Object>}
+ */
+async function describeAccount({ id, invitation }, record) {
+  const [details] = invitation.value;
+
+  // Storage paths the kit's creation offer published to
+  const topics =
+    (record.offerToPublicSubscriberPaths || []).find(
+      ([offerId]) => String(offerId) === String(id)
+    )?.[1] || {};
+
+  const published = Object.fromEntries(
+    await Promise.all(
+      Object.entries(topics).map(async ([name, path]) => [
+        name,
+        toPlainData(await readPublished(path)),
+      ])
+    )
+  );
+
+  return {
+    accountInvitationId: id,
+    description: details.description,
+    customDetails: toPlainData(details.customDetails ?? null),
+    // Known when the kit was created from this sandbox
+    creationOffer: getOffer({ offerId: id }) || { offerId: id },
+    live: (record.liveOffers || []).some(
+      ([offerId]) => String(offerId) === String(id)
+    ),
+    topics,
+    published,
+  };
+}
+
+/**
+ * Wait for the connected wallet's record
+ * @returns {Promise<Object | null>} null for a wallet that has none yet
+ */
+async function getWalletRecord() {
+  requireWallet();
+  return chainData.walletRecord
+    .wait({ timeoutMs: settings.chainDataTimeoutMs })
+    .catch(() => null);
+}
+
+/**
+ * Get the connected wallet's current QSTN account kit
+ *
+ * @returns {Promise<{ address: string, hasAccount: boolean, account: Object | null }>}
+ */
+async function getAccount() {
+  const record = await getWalletRecord();
+  const latest = findAccountInvitation(record);
+
+  return {
+    address: state.wallet.address,
+    hasAccount: !!latest,
+    account: latest ? await describeAccount(latest, record) : null,
+  };
+}
+
+/**
+ * List every QSTN account kit the connected wallet holds, newest first
+ *
+ * Offers use the newest one.
+ *
+ * @returns {Promise<{ address: string, accounts: Object[] }>}
+ */
+async function listAccounts() {
+  const record = await getWalletRecord();
+
+  return {
+    address: state.wallet.address,
+    accounts: await Promise.all(
+      listAccountInvitations(record).map((entry) =>
+        describeAccount(entry, record)
+      )
+    ),
+  };
+}
+
+/**
+ * Create a QSTN account kit without funding anything
+ *
+ * @param {Object} [params]
+ * @param {boolean} [params.force] - Create another kit when one exists
+ * @returns {Promise<Object>} Offer result with the new accountInvitationId
+ */
+async function createAccount({ force = false } = {}) {
+  // Ensure wallet is connected
+  if (!state.wallet) {
+    await connectWallet();
+  }
+
+  const existing = await getAccountInvitation();
+  if (existing && !force) {
+    throw {
+      code: "ACCOUNT_EXISTS",
+      message: `Wallet already has account ${existing.id}; pass force to create another`,
+    };
+  }
+
+  try {
+    updateStatus("Creating QSTN account...", "loading");
+    await ensureSigningEndpoint();
+
+    const result = await makeOffer({
+      messages: [],
+      proposal: { give: {}, want: {} },
+      createAccount: true,
+    });
+
+    updateStatus("QSTN account created!", "success");
+
+    return {
+      success: true,
+      offerId: result.offerId,
+      // null when the new kit did not show up in time
+      accountInvitationId: result.accountInvitationId,
+      txHash: result.data?.txn?.transactionHash || null,
+      height: result.data?.txn?.height || null,
+      confirmed: result.confirmed,
+    };
+  } catch (error) {
+    console.error("[Agoric Sandbox] Account creation failed:", error);
+    const errorMsg = getErrorMessage(error);
+    updateStatus(`Account creation failed: ${errorMsg}`, "error");
+
+    throw classifyError(error, "ACCOUNT_CREATION_FAILED");
+  }
+}
+
+/**
+ * Call an invitation maker of the connected wallet's account kit
+ *
+ * Only makers in the network's allowlist (getInvitationMakers) can be
+ * called. The offer may give or want amounts like any other.
+ *
+ * @param {Object} params
+ * @param {string} params.invitationMakerName
+ * @param {Array} [params.invitationArgs]
+ * @param {Object} [params.offerArgs]
+ * @param {Object<string, import("./proposals.js").AmountSpec>} [params.give]
+ * @param {Object<string, import("./proposals.js").AmountSpec>} [params.want]
+ * @returns {Promise<Object>} Offer result with payouts and the offer's result
+ */
+async function invokeAccount({
+  invitationMakerName,
+  invitationArgs = [],
+  offerArgs = {},
+  give,
+  want,
+} = {}) {
+  if (!getInvitationMakers(state.network).includes(invitationMakerName)) {
+    throw {
+      code: "INVITATION_MAKER_NOT_ALLOWED",
+      message: `Invitation maker not allowed: ${invitationMakerName}`,
+    };
+  }
+  if (!Array.isArray(invitationArgs)) {
+    throw {
+      code: PROPOSAL_ERRORS.INVALID_PROPOSAL,
+      message: "invitationArgs must be an array",
+    };
+  }
+  if (!offerArgs || typeof offerArgs !== "object") {
+    throw {
+      code: PROPOSAL_ERRORS.INVALID_PROPOSAL,
+      message: "offerArgs must be an object",
+    };
+  }
+  const proposal =
+    give === undefined && want === undefined
+      ? { give: {}, want: {} }
+      : resolveProposal({ give, want });
+
+  try {
+    console.log("[Agoric Sandbox] Invoking account:", invitationMakerName);
+    updateStatus(`Calling ${invitationMakerName}...`, "loading");
+
+    // Ensure wallet is connected
+    if (!state.wallet) {
+      await connectWallet();
+    }
+    await ensureSigningEndpoint();
+
+    const result = await makeOffer({
+      messages: [],
+      proposal,
+      invitationMaker: {
+        name: invitationMakerName,
+        args: invitationArgs,
+        offerArgs,
+      },
+      collectPayouts: true,
+    });
+
+    updateStatus(`${invitationMakerName} done!`, "success");
+
+    return {
+      success: true,
+      offerId: result.offerId,
+      status: result.status,
+      payouts: describePayouts(result.payouts),
+      // Whatever the continuing invitation returned, as plain data
+      result: toPlainData(result.result ?? null),
+      txHash: result.data?.txn?.transactionHash || null,
+      height: result.data?.txn?.height || null,
+      confirmed: result.confirmed,
+    };
+  } catch (error) {
+    console.error("[Agoric Sandbox] Account invocation failed:", error);
+    const errorMsg = getErrorMessage(error);
+    updateStatus(`${invitationMakerName} failed: ${errorMsg}`, "error");
+
+    // Keeps ACCOUNT_NOT_FOUND, so the parent can CREATE_ACCOUNT
+    throw classifyError(error, "INVOKE_FAILED");
+  }
+}
+
+/**
+ * Get bank and smart-wallet purse balances of the connected wallet
+ *
+ * @returns {Promise<{ address: string, bank: import("./balances.js").AssetBalance[], purses: import("./balances.js").AssetBalance[] }>}
+ */
+async function getBalances() {
+  requireWallet();
+
+  const bank = await fetchBankBalances(
+    getConfig(state.network).REST_ENDPOINTS,
+    state.wallet.address
+  );
+
+  // Only amount purses; set-valued ones (invitations) have no balance
+  const purses = (state.currentWalletRecord?.purses || [])
+    .filter(({ balance }) => typeof balance?.value === "bigint")
+    .map(({ brand, balance }) => {
+      const brandKey = getBrandName(brand);
+      const asset = getAssetByBrandKey(brandKey);
+      return {
+        denom: asset?.denom || null,
+        brand: brandKey,
+        amount: balance.value.toString(),
+        decimals: asset?.decimals ?? null,
+        formatted: formatAmount(balance.value, asset?.decimals),
+      };
+    });
+
+  return { address: state.wallet.address, bank, purses };
+}
+
+/**
+ * Check whether the connected wallet can pay an amount plus fees
+ *
+ * Takes either one amount (totalAmount + denom) or a give record of
+ * several, as accepted by FUND_SURVEY.
+ *
+ * @param {Object} params
+ * @param {string} [params.totalAmount] - Planned amount in the smallest unit
+ * @param {string} [params.denom] - Bank denom of the amount (e.g., "ubld")
+ * @param {Object} [params.give] - Keyword record of { denom, value }
+ * @param {Object} [fee] - Fee to budget for, e.g. from simulation
+ * @returns {Promise<{ affordable: boolean, required: Object[], shortfall: Object[], fee: Object }>}
+ */
+async function checkAffordability(
+  { totalAmount, denom, give } = {},
+  fee = DEFAULT_FEE
+) {
+  const proposal = resolveProposal({ totalAmount, denom, give });
+  return checkSpend(sumByDenom(proposal.give), fee);
+}
+
+/**
+ * Compare what a transaction spends per denom, plus its fee, with the
+ * connected wallet's bank balances
+ *
+ * @param {Map<string, bigint>} spend - Amount per denom
+ * @param {Object} fee
+ */
+async function checkSpend(spend, fee) {
+  const { bank } = await getBalances();
+
+  // Sum what is needed per denom: the amounts plus the fee
+  const needed = new Map(spend);
+  fee.amount.forEach((coin) =>
+    needed.set(
+      coin.denom,
+      (needed.get(coin.denom) || BigInt(0)) + BigInt(coin.amount)
+    )
+  );
+
+  const describe = (coinDenom, value) => {
+    const decimals = getAssetByDenom(coinDenom)?.decimals ?? null;
+    return {
+      denom: coinDenom,
+      amount: value.toString(),
+      formatted: formatAmount(value, decimals),
+    };
+  };
+
+  const required = [];
+  const shortfall = [];
+  needed.forEach((value, coinDenom) => {
+    const available = BigInt(
+      bank.find((balance) => balance.denom === coinDenom)?.amount || 0
+    );
+    required.push({
+      ...describe(coinDenom, value),
+      available: available.toString(),
+    });
+    if (available < value) {
+      shortfall.push(describe(coinDenom, value - available));
+    }
+  });
+
+  return {
+    affordable: shortfall.length === 0,
+    required,
+    shortfall,
+    fee,
+  };
+}
+
+/**
+ * Get the stored status of an offer
+ *
+ * @param {Object} params
+ * @param {number|string} [params.offerId] - Offer id from FUND_SURVEY / CLAIM_REWARDS
+ * @param {string} [params.surveyId] - Latest offer made for this survey
+ * @returns {import("./pendingOffers.js").OfferRecord}
+ */
+function getOfferStatus({ offerId, surveyId } = {}) {
+  const record = getOffer({ offerId, surveyId });
+  if (!record) {
+    throw {
+      code: OFFER_ERRORS.OFFER_NOT_FOUND,
+      message: `No offer found for ${
+        offerId !== undefined ? `offerId ${offerId}` : `surveyId ${surveyId}`
+      }`,
+    };
+  }
+  return record;
+}
+
+/**
+ * List offers still waiting for an outcome
+ *
+ * Defaults to the connected wallet on the current network; pass
+ * { all: true } for every stored pending offer.
+ *
+ * @param {Object} [params]
+ * @param {boolean} [params.all]
+ * @returns {{ offers: import("./pendingOffers.js").OfferRecord[] }}
+ */
+function listPendingOffers({ all = false } = {}) {
+  const filter = all
+    ? {}
+    : { address: state.wallet?.address, network: state.network };
+  return {
+    offers: listOffers({ ...filter, status: OFFER_STATUS.PENDING }),
+  };
+}
+
+/**
+ * Switch the sandbox to another network
+ *
+ * Tears down the watcher and wallet of the current network and rebuilds
+ * them for the new one. A wallet that was connected is reconnected.
+ *
+ * @param {Object} params
+ * @param {string} params.network - Network name (built-in or registered)
+ * @returns {Promise<{ network: string, address: string | null }>}
+ */
+async function setNetwork({ network } = {}) {
+  // Validate first so a typo doesn't drop the current connection
+  getConfig(network);
+
+  console.log("[Agoric Sandbox] Switching network to:", network);
+  await rebuildConnections(network);
+
+  updateStatus(`Switched to ${network}`, "success");
+
+  return { network, address: state.wallet?.address || null };
+}
+
+/**
+ * Rebuild the watcher (and wallet, if connected) for a network
+ * @param {string} network
+ */
+async function rebuildConnections(network) {
+  const wasConnected = !!state.wallet;
+
+  await setupWatcher({ network });
+  await waitForChainData();
+
+  if (wasConnected) {
+    await connectWallet({ network });
+  }
+}
+
+/**
+ * Move the wallet to a healthy RPC endpoint before signing
+ *
+ * Broadcasts are never retried (the tx may have landed), but once an
+ * endpoint has failed the next signing request should not use it again.
+ */
+async function ensureSigningEndpoint() {
+  if (!state.wallet || getEndpointHealth(state.endpoints.rpc).healthy) {
+    return;
+  }
+  console.warn(
+    "[Agoric Sandbox] RPC endpoint unhealthy, reconnecting wallet:",
+    state.endpoints.rpc
+  );
+  await connectWallet({ network: state.network });
+}
+
+/**
+ * Report the active endpoints and their last probe results
+ */
+function getEndpointStatus() {
+  return {
+    rpc: state.endpoints.rpc ? getEndpointHealth(state.endpoints.rpc) : null,
+    rest: state.endpoints.rest
+      ? getEndpointHealth(state.endpoints.rest)
+      : null,
+  };
+}
+
+/**
+ * Decide whether the active endpoints need replacing
+ *
+ * Uses the latest probe results only; nothing is fetched.
+ *
+ * @param {string} network
+ * @returns {{ restDown: boolean, rpcDown: boolean, rest: string, rpc: string } | null}
+ *   null when the endpoints are fine or there is nothing better to switch to
+ */
+function planFailover(network) {
+  const config = getConfig(network);
+  const restDown =
+    !!state.endpoints.rest && !getEndpointHealth(state.endpoints.rest).healthy;
+  const rpcDown =
+    !!state.endpoints.rpc && !getEndpointHealth(state.endpoints.rpc).healthy;
+  if (!restDown && !rpcDown) {
+    return null;
+  }
+
+  const [bestRest] = rankEndpoints(config.REST_ENDPOINTS);
+  const [bestRpc] = rankEndpoints(config.RPC_ENDPOINTS);
+  if (
+    (restDown && !getEndpointHealth(bestRest).healthy) ||
+    (rpcDown && !getEndpointHealth(bestRpc).healthy)
+  ) {
+    console.warn("[Agoric Sandbox] No healthy endpoint to fail over to");
+    return null;
+  }
+
+  return {
+    restDown,
+    rpcDown,
+    rest: restDown ? bestRest : state.endpoints.rest,
+    rpc: rpcDown ? bestRpc : state.endpoints.rpc,
+  };
+}
+
+/**
+ * Switch to healthy endpoints
+ *
+ * Runs in the request queue: commands that arrive meanwhile wait until
+ * the watcher and wallet are rebuilt.
+ *
+ * @param {string} network - Network the probes were made for
+ */
+async function failOverEndpoints(network) {
+  // SET_NETWORK or an earlier failover may have run while this waited
+  if (state.network !== network) {
+    return;
+  }
+  const plan = planFailover(network);
+  if (!plan) {
+    return;
+  }
+
+  console.warn("[Agoric Sandbox] Failing over endpoints:", {
+    rest: plan.rest,
+    rpc: plan.rpc,
+  });
+
+  if (plan.restDown) {
+    // The watcher and the wallet built on it are bound to one REST URL
+    await rebuildConnections(network);
+  } else {
+    await connectWallet({ network });
+  }
+}
+
+/**
+ * Re-probe the active network and fail over if an endpoint went bad
+ *
+ * Runs on a timer. A switch is deferred while a command is in flight so
+ * an offer or signing prompt is never cut off mid-way.
+ */
+async function checkEndpointHealth() {
+  if (!state.network || !state.watcher || state.failoverQueued) {
+    return;
+  }
+
+  const network = state.network;
+  const config = getConfig(network);
+  await Promise.all([
+    ...config.REST_ENDPOINTS.map((url) => probeEndpoint("rest", url)),
+    ...config.RPC_ENDPOINTS.map((url) => probeEndpoint("rpc", url)),
+  ]);
+
+  if (!planFailover(network)) {
+    return;
+  }
+
+  if (state.activeCommands > 0) {
+    console.log("[Agoric Sandbox] Endpoint failover deferred: command busy");
+    return;
+  }
+
+  state.failoverQueued = true;
+  try {
+    await runSerialized({ requestId: `failover-${Date.now()}` }, () =>
+      failOverEndpoints(network)
+    );
+  } finally {
+    state.failoverQueued = false;
+  }
+}
+
+/**
+ * Describe what this sandbox build supports
+ *
+ * Sent with AGORIC_READY and returned by GET_CAPABILITIES, so the parent
+ * can feature-detect instead of assuming a sandbox version.
+ *
+ * @returns {{ protocolVersion: number, sandboxVersion: string, capabilities: string[] }}
+ */
+function getCapabilities() {
+  return {
+    protocolVersion: PROTOCOL_VERSION,
+    sandboxVersion: process.env.SANDBOX_VERSION,
+    capabilities: Object.values(COMMANDS),
+  };
+}
+
+/**
+ * Initialize the sandbox
+ */
+async function initialize() {
+  try {
+    console.log("[Agoric Sandbox] Initializing...");
+    updateStatus("Initializing sandbox...", "loading");
+
+    // Setup chain storage watcher
+    // This initializes the watcher that will be used by wallet connection
+    console.log("[Agoric Sandbox] Setting up watcher...");
+    // The test signer runs against a local chain unless told otherwise
+    await setupWatcher({
+      network: getInitialNetwork(
+        initParams,
+        TEST_SIGNER_ENABLED ? "local" : DEFAULT_NETWORK
+      ),
+    });
+
+    // Wait for watcher to sync initial data (brands, instances, etc.)
+    console.log("[Agoric Sandbox] Waiting for initial chain data sync...");
+    await waitForChainData();
+
+    state.isInitialized = true;
+
+    updateStatus("Sandbox ready - waiting for commands", "success");
+    console.log("[Agoric Sandbox] Ready to receive messages");
+
+    // Keep probing endpoints so a failing node is replaced in the background
+    setInterval(() => {
+      checkEndpointHealth().catch((error) =>
+        console.error("[Agoric Sandbox] Endpoint health check failed:", error)
+      );
+    }, ENDPOINT_HEALTH_INTERVAL_MS);
+
+    // Notify parent that sandbox is ready
+    announceReady(getCapabilities());
+  } catch (error) {
+    console.error("[Agoric Sandbox] Initialization failed:", error);
+    updateStatus(`Initialization failed: ${error.message}`, "error");
+    throw error;
+  }
+}
+
+/**
+ * Handle a command from the parent window
+ *
+ * Origin checks happen in the bridge; by the time a message gets here it
+ * comes from the pinned parent origin.
+ *
+ * @param {Object} message - Parent message ({ type, data, id, idempotencyKey })
+ * @param {(reply: Object) => void} respond - Sends a reply to the parent
+ */
+async function handleCommand({ type, data, id, idempotencyKey }, respond) {
+  console.log("[Agoric Sandbox] Received message:", type, data);
+
+  // Wallet-mutating commands wait their turn (see requestQueue.js)
+  const serialized = (task) =>
+    runSerialized({ requestId: id, type, idempotencyKey }, task);
+
+  state.activeCommands += 1;
+  try {
+    let result;
+
+    switch (type) {
+      case COMMANDS.CONNECT_WALLET:
+        result = await serialized(() => connectWallet(data));
+        break;
+
+      case COMMANDS.RESTORE_SESSION:
+        result = await serialized(() => restoreSession());
+        break;
+
+      case COMMANDS.DISCONNECT_WALLET:
+        result = await serialized(async () => disconnectWallet());
+        break;
+
+      case COMMANDS.SIGN_DATA:
+        result = await serialized(() => signData(data));
+        break;
+
+      case COMMANDS.VERIFY_SIGNATURE:
+        // Offline check: no wallet needed, so not queued
+        result = await verifyADR036Proof(data?.proof, {
+          address: data?.address,
+          data: data?.data,
+        });
+        break;
+
+      case COMMANDS.FUND_SURVEY:
+        result = await serialized(() => fundSurvey(data));
+        break;
+
+      case COMMANDS.FUND_SURVEYS_BATCH:
+        result = await serialized(() => fundSurveysBatch(data));
+        break;
+
+      case COMMANDS.CLAIM_REWARDS:
+        result = await serialized(() => claimRewards(data));
         break;
 
-      case "CLAIM_REWARDS":
-        result = await claimRewards(data);
+      case COMMANDS.SPONSOR_PARTICIPANT_GAS:
+        result = await serialized(() => sponsorParticipantGas(data));
         break;
 
-      case "SPONSOR_PARTICIPANT_GAS":
-        result = await sponsorParticipantGas(data);
+      case COMMANDS.SIMULATE:
+        // Queued: it may move the wallet to a healthy endpoint
+        result = await serialized(() => simulate(data));
         break;
 
-      case "GET_STATUS":
+      case COMMANDS.GET_STATUS:
         result = {
           initialized: state.isInitialized,
           connected: !!state.wallet,
           address: state.wallet?.address || null,
+          walletType: state.wallet ? state.walletType : null,
+          availableWallets: detectWallets(),
           hasBrands: !!state.brands,
           hasInstance: !!state.contractInstance,
+          contract: getContract(),
           hasAccount: state.hasAccount,
           accountInvitationId: state.accountInvitation?.id || null,
           brandsAvailable: state.brands ? Object.keys(state.brands) : [],
           network: state.network,
+          availableNetworks: getNetworkNames(),
+          endpoints: getEndpointStatus(),
+          queuedRequests: getQueueLength(),
         };
         break;
 
+      case COMMANDS.GET_ACCOUNT:
+        result = await getAccount();
+        break;
+
+      case COMMANDS.LIST_ACCOUNTS:
+        result = await listAccounts();
+        break;
+
+      case COMMANDS.CREATE_ACCOUNT:
+        result = await serialized(() => createAccount(data));
+        break;
+
+      case COMMANDS.INVOKE_ACCOUNT:
+        result = await serialized(() => invokeAccount(data));
+        break;
+
+      case COMMANDS.GET_BALANCES:
+        result = await getBalances();
+        break;
+
+      case COMMANDS.CHECK_AFFORDABILITY:
+        result = await checkAffordability(data);
+        break;
+
+      case COMMANDS.GET_OFFER_STATUS:
+        result = getOfferStatus(data);
+        break;
+
+      case COMMANDS.LIST_PENDING_OFFERS:
+        result = listPendingOffers(data);
+        break;
+
+      case COMMANDS.SET_NETWORK:
+        result = await serialized(() => setNetwork(data));
+        break;
+
+      case COMMANDS.REGISTER_NETWORK:
+        result = registerNetwork(data);
+        break;
+
+      case COMMANDS.CANCEL_REQUEST:
+        result = cancelRequest(data?.requestId);
+        break;
+
+      case COMMANDS.GET_CAPABILITIES:
+        result = getCapabilities();
+        break;
+
+      case COMMANDS.SUBSCRIBE:
+        result = subscribe(data);
+        break;
+
+      case COMMANDS.UNSUBSCRIBE:
+        result = unsubscribe(data);
+        break;
+
       default:
-        console.warn("[Agoric Sandbox] Unknown message type:", type);
-        return; // Don't throw, just ignore unknown messages
+        console.warn("[Agoric Sandbox] Unsupported message type:", type);
+        throw {
+          code: PROTOCOL_ERRORS.UNSUPPORTED_COMMAND,
+          message: `Unsupported command: ${type}`,
+        };
     }
 
     // Send success response
-    window.parent.postMessage(
-      {
-        type: "AGORIC_RESPONSE",
-        id,
-        success: true,
-        data: result,
-      },
-      "*"
-    );
+    respond({
+      type: BRIDGE_MESSAGES.RESPONSE,
+      id,
+      success: true,
+      data: result,
+    });
   } catch (error) {
     console.error("[Agoric Sandbox] Message handler error:", error);
 
     // Send error response
-    window.parent.postMessage(
-      {
-        type: "AGORIC_RESPONSE",
-        id,
-        success: false,
-        error: {
-          code: error.code || "UNKNOWN_ERROR",
-          message: error.message || "An unknown error occurred",
-        },
-      },
-      "*"
+    const { code, message, retryable, details } = classifyError(
+      error,
+      "UNKNOWN_ERROR"
     );
+    respond({
+      type: BRIDGE_MESSAGES.RESPONSE,
+      id,
+      success: false,
+      error: {
+        code,
+        message: message || "An unknown error occurred",
+        retryable,
+        ...(details && { details }),
+      },
+    });
+  } finally {
+    state.activeCommands -= 1;
   }
-});
+}
+
+listenToParent(handleCommand);
 
 // Initialize on load
 initialize().catch(console.error);
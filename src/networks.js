@@ -0,0 +1,319 @@
+/**
+ * Network Registry
+ *
+ * Built-in Agoric networks plus networks registered at runtime, either
+ * with REGISTER_NETWORK or through init-time query parameters
+ * (?network=<name>&chainId=...&rpc=...&rest=...&networkConfig=...).
+ *
+ * Every network lists one or more RPC and REST endpoints, best first;
+ * endpoints.js probes them and fails over between them. A network may
+ * also name a different QSTN contract deployment (CONTRACT), e.g. for
+ * staging or an upgraded instance.
+ *
+ * The invitation makers INVOKE_ACCOUNT may call are fixed at build time
+ * (AGORIC_INVITATION_MAKERS) and per built-in network (INVITATION_MAKERS),
+ * never by the parent: networks registered at runtime use the build's list.
+ */
+
+export const NETWORK_ERRORS = {
+  UNKNOWN_NETWORK: "UNKNOWN_NETWORK",
+  INVALID_NETWORK_CONFIG: "INVALID_NETWORK_CONFIG",
+};
+
+export const DEFAULT_NETWORK = "mainnet";
+
+// Name for endpoints given in the iframe URL without a network name
+export const CUSTOM_NETWORK = "custom";
+
+/**
+ * @typedef {Object} ContractNames
+ * @property {string} instanceName - Key in published.agoricNames.instance
+ * @property {string} invitationDescription - Description of the invitation that creates an account kit
+ * @property {string} publicInvitationMaker - Public facet method that makes that invitation
+ */
+
+/** @type {ContractNames} */
+export const DEFAULT_CONTRACT = {
+  instanceName: "QstnContract",
+  invitationDescription: "qstnAccountKitInvitation",
+  publicInvitationMaker: "createQstnAccountKit",
+};
+
+// Used when the build does not provide AGORIC_INVITATION_MAKERS
+const DEFAULT_INVITATION_MAKERS = ["makeTransactionInvitation"];
+
+/**
+ * Read the build's invitation-maker allowlist
+ *
+ * AGORIC_INVITATION_MAKERS is a comma-separated list injected at build
+ * time by webpack, like AGORIC_ALLOWED_ORIGINS.
+ *
+ * @returns {string[]}
+ */
+function getDefaultInvitationMakers() {
+  const configured = process.env.AGORIC_INVITATION_MAKERS;
+  if (!configured) {
+    return DEFAULT_INVITATION_MAKERS;
+  }
+  return configured
+    .split(",")
+    .map((maker) => maker.trim())
+    .filter(Boolean);
+}
+
+export const networkConfigs = {
+  mainnet: {
+    CHAIN_ID: "agoric-3",
+    RPC_ENDPOINTS: [
+      "https://main-a.rpc.agoric.net:443",
+      "https://main.rpc.agoric.net:443",
+    ],
+    REST_ENDPOINTS: [
+      "https://main-a.api.agoric.net",
+      "https://main.api.agoric.net",
+    ],
+    NETWORK_CONFIG_HREF: "https://followmain.agoric.net/network-config",
+  },
+  devnet: {
+    CHAIN_ID: "agoricdev-25",
+    RPC_ENDPOINTS: ["https://devnet.rpc.agoric.net:443"],
+    REST_ENDPOINTS: ["https://devnet.api.agoric.net"],
+    NETWORK_CONFIG_HREF: "https://devnet.agoric.net/network-config",
+  },
+  emerynet: {
+    CHAIN_ID: "agoric-emerynet-9",
+    RPC_ENDPOINTS: ["https://emerynet.rpc.agoric.net:443"],
+    NETWORK_CONFIG_HREF: "https://emerynet.agoric.net/network-config",
+    REST_ENDPOINTS: ["https://emerynet.api.agoric.net"],
+  },
+  local: {
+    CHAIN_ID: "agoriclocal",
+    RPC_ENDPOINTS: ["http://localhost:26657"],
+    NETWORK_CONFIG_HREF: "https://local.agoric.net/network-config",
+    REST_ENDPOINTS: ["http://localhost:1317"],
+  },
+};
+
+// Networks supplied by the parent; kept apart so built-ins can't be replaced
+const customNetworks = {};
+
+// Names come from the parent: "toString" must not find Object.prototype's
+const hasOwn = (object, key) =>
+  Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * List every known network name
+ * @returns {string[]}
+ */
+export function getNetworkNames() {
+  return [...Object.keys(networkConfigs), ...Object.keys(customNetworks)];
+}
+
+/**
+ * Get network configuration
+ * @param {string} network - Network name
+ * @returns {Object} Network configuration
+ * @throws {{ code: "UNKNOWN_NETWORK", message: string }}
+ */
+export function getConfig(network) {
+  const config =
+    (hasOwn(networkConfigs, network) && networkConfigs[network]) ||
+    (hasOwn(customNetworks, network) && customNetworks[network]);
+  if (!config) {
+    throw {
+      code: NETWORK_ERRORS.UNKNOWN_NETWORK,
+      message: `Unknown network "${network}". Available: ${getNetworkNames().join(
+        ", "
+      )}`,
+    };
+  }
+  return config;
+}
+
+/**
+ * Get the contract names a network uses
+ * @param {string} network - Network name
+ * @returns {ContractNames}
+ */
+export function getContractNames(network) {
+  return { ...DEFAULT_CONTRACT, ...getConfig(network).CONTRACT };
+}
+
+/**
+ * Get the invitation makers INVOKE_ACCOUNT may call on a network
+ *
+ * Built-in networks may narrow or extend the build's list with
+ * INVITATION_MAKERS; registered networks always use the build's list.
+ *
+ * @param {string} network - Network name
+ * @returns {string[]}
+ */
+export function getInvitationMakers(network) {
+  const config = getConfig(network);
+  return (
+    (hasOwn(networkConfigs, network) && config.INVITATION_MAKERS) ||
+    getDefaultInvitationMakers()
+  );
+}
+
+/**
+ * Validate contract name overrides
+ *
+ * Names that are not given keep their defaults.
+ *
+ * @param {string} field - Parameter name (for the error message)
+ * @param {Partial<ContractNames>} [value]
+ * @returns {Partial<ContractNames>}
+ */
+export function validateContractNames(field, value = {}) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw {
+      code: NETWORK_ERRORS.INVALID_NETWORK_CONFIG,
+      message: `${field} must be an object`,
+    };
+  }
+
+  return Object.fromEntries(
+    Object.keys(DEFAULT_CONTRACT)
+      .filter((key) => value[key] !== undefined && value[key] !== null)
+      .map((key) => {
+        if (typeof value[key] !== "string" || !value[key]) {
+          throw {
+            code: NETWORK_ERRORS.INVALID_NETWORK_CONFIG,
+            message: `${field}.${key} must be a non-empty string`,
+          };
+        }
+        return [key, value[key]];
+      })
+  );
+}
+
+/**
+ * Validate an endpoint URL
+ * @param {string} field - Parameter name (for the error message)
+ * @param {string} value
+ * @returns {string} The URL without a trailing slash
+ */
+function validateUrl(field, value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw {
+      code: NETWORK_ERRORS.INVALID_NETWORK_CONFIG,
+      message: `${field} is not a valid URL: ${value}`,
+    };
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    throw {
+      code: NETWORK_ERRORS.INVALID_NETWORK_CONFIG,
+      message: `${field} must be an http(s) URL: ${value}`,
+    };
+  }
+  return value.replace(/\/$/, "");
+}
+
+/**
+ * Validate one endpoint or a list of them
+ * @param {string} field - Parameter name (for the error message)
+ * @param {string | string[]} value
+ * @returns {string[]}
+ */
+function validateUrls(field, value) {
+  const urls = Array.isArray(value) ? value : [value];
+  if (urls.length === 0) {
+    throw {
+      code: NETWORK_ERRORS.INVALID_NETWORK_CONFIG,
+      message: `${field} must list at least one URL`,
+    };
+  }
+  return urls.map((url) => validateUrl(field, url));
+}
+
+/**
+ * Register a custom network
+ *
+ * @param {Object} params
+ * @param {string} params.name - Network name used by SET_NETWORK / CONNECT_WALLET
+ * @param {string} params.chainId - Cosmos chain id (e.g., "agoriclocal")
+ * @param {string | string[]} params.rpcEndpoint - Tendermint RPC URL(s), best first
+ * @param {string | string[]} params.restEndpoint - Cosmos REST (LCD) URL(s), best first
+ * @param {string} params.networkConfigHref - network-config URL for suggestChain
+ * @param {Partial<ContractNames>} [params.contract] - Contract deployment, if not the default names
+ * @returns {{ network: string, config: Object }}
+ */
+export function registerNetwork({
+  name,
+  chainId,
+  rpcEndpoint,
+  restEndpoint,
+  networkConfigHref,
+  contract,
+} = {}) {
+  if (!name || typeof name !== "string") {
+    throw {
+      code: NETWORK_ERRORS.INVALID_NETWORK_CONFIG,
+      message: "name is required",
+    };
+  }
+  if (hasOwn(networkConfigs, name)) {
+    throw {
+      code: NETWORK_ERRORS.INVALID_NETWORK_CONFIG,
+      message: `"${name}" is a built-in network and cannot be redefined`,
+    };
+  }
+  if (!chainId || typeof chainId !== "string") {
+    throw {
+      code: NETWORK_ERRORS.INVALID_NETWORK_CONFIG,
+      message: "chainId is required",
+    };
+  }
+
+  const config = {
+    CHAIN_ID: chainId,
+    RPC_ENDPOINTS: validateUrls("rpcEndpoint", rpcEndpoint),
+    REST_ENDPOINTS: validateUrls("restEndpoint", restEndpoint),
+    NETWORK_CONFIG_HREF: validateUrl("networkConfigHref", networkConfigHref),
+    CONTRACT: validateContractNames("contract", contract),
+  };
+
+  customNetworks[name] = config;
+  console.log("[Agoric Sandbox] Registered network:", name, config);
+
+  return { network: name, config };
+}
+
+/**
+ * Read the initial network from the iframe URL
+ *
+ * A custom network is registered when rpc/rest/networkConfig are given;
+ * rpc and rest may be comma-separated lists. Without a network name they
+ * are registered as CUSTOM_NETWORK, on the fallback network's chain: a
+ * built-in network cannot be redefined.
+ *
+ * @param {URLSearchParams} params - Iframe query parameters
+ * @param {string} [fallback] - Network when none is given
+ * @returns {string} Network to start on
+ */
+export function getInitialNetwork(params, fallback = DEFAULT_NETWORK) {
+  const named = params.get("network");
+  let network = named || fallback;
+
+  if (params.has("rpc") || params.has("rest")) {
+    // Whatever the URL leaves out comes from the fallback network
+    const base = named ? {} : getConfig(fallback);
+    network = named || CUSTOM_NETWORK;
+    registerNetwork({
+      name: network,
+      chainId: params.get("chainId") || base.CHAIN_ID,
+      rpcEndpoint: params.get("rpc")?.split(",") || base.RPC_ENDPOINTS,
+      restEndpoint: params.get("rest")?.split(",") || base.REST_ENDPOINTS,
+      networkConfigHref:
+        params.get("networkConfig") || base.NETWORK_CONFIG_HREF,
+    });
+  }
+
+  // Fail at startup rather than on the first command
+  getConfig(network);
+  return network;
+}
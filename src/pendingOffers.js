@@ -0,0 +1,509 @@
+/**
+ * Pending Offer Tracking
+ *
+ * Every offer is recorded in iframe-origin localStorage before it is
+ * submitted, so its outcome survives an iframe reload. On startup the
+ * sandbox resumes watching the smart wallet of each address with
+ * unfinished offers and settles them from published state:
+ *
+ * - published.wallet.<addr>.current: liveOffers / offerToUsedInvitation
+ * - published.wallet.<addr>: the latest offerStatus update, or earlier
+ *   ones read back over REST when the offer finished unseen
+ */
+
+import { AgoricChainStoragePathKind as Kind } from "@agoric/rpc";
+
+import { emitEvent } from "./events.js";
+import { EVENTS } from "./protocol.js";
+import { findOfferStatus, findOfferTransaction } from "./transactions.js";
+
+const STORAGE_KEY = "agoric-sandbox:offers";
+
+// An offer never seen on chain after this long was not submitted
+const PENDING_OFFER_EXPIRY_MS = 10 * 60 * 1000;
+
+// Finished offers are kept this long for GET_OFFER_STATUS
+const FINISHED_OFFER_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+export const OFFER_ERRORS = {
+  OFFER_NOT_FOUND: "OFFER_NOT_FOUND",
+};
+
+export const OFFER_STATUS = {
+  PENDING: "pending",
+  ACCEPTED: "accepted",
+  REFUNDED: "refunded",
+  ERROR: "error",
+};
+
+/**
+ * @typedef {Object} OfferRecord
+ * @property {number} offerId - Id the offer was submitted with
+ * @property {string | null} surveyId
+ * @property {string[]} surveyIds - Every survey the offer covers (batches)
+ * @property {string} address - Wallet that made the offer
+ * @property {string} network
+ * @property {"pending" | "accepted" | "refunded" | "error"} status
+ * @property {boolean} seated - Whether the wallet has seated the offer
+ * @property {number | null} fromHeight - Block height before submission
+ * @property {{ txHash: string, height: number } | null} tx
+ * @property {string | null} error
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ */
+
+// Offers recorded in this page load and not yet finished: makeOffer
+// reports their status, so resuming them would report it twice
+const trackedLive = new Set();
+
+/**
+ * Read all records from storage
+ * @returns {Object<string, OfferRecord>}
+ */
+function readAll() {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn("[Agoric Sandbox] Could not read offer storage:", error);
+    return {};
+  }
+}
+
+/**
+ * Write all records to storage, dropping old finished ones
+ * @param {Object<string, OfferRecord>} records
+ */
+function writeAll(records) {
+  const cutoff = Date.now() - FINISHED_OFFER_RETENTION_MS;
+  const kept = Object.fromEntries(
+    Object.entries(records).filter(
+      ([, record]) =>
+        record.status === OFFER_STATUS.PENDING || record.updatedAt > cutoff
+    )
+  );
+
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(kept));
+  } catch (error) {
+    // Storage can be disabled for third-party frames; tracking still
+    // works for the lifetime of this page
+    console.warn("[Agoric Sandbox] Could not persist offers:", error);
+  }
+}
+
+/**
+ * Record a new offer before it is submitted
+ *
+ * @param {Object} params
+ * @param {number} params.offerId
+ * @param {string | null} params.surveyId
+ * @param {string[]} [params.surveyIds] - For offers covering several surveys
+ * @param {string} params.address
+ * @param {string} params.network
+ * @param {number | null} params.fromHeight
+ * @returns {OfferRecord}
+ */
+export function recordOffer({
+  offerId,
+  surveyId,
+  surveyIds,
+  address,
+  network,
+  fromHeight,
+}) {
+  const now = Date.now();
+  const record = {
+    offerId,
+    surveyId: surveyId ?? null,
+    surveyIds: surveyIds ?? (surveyId ? [surveyId] : []),
+    address,
+    network,
+    status: OFFER_STATUS.PENDING,
+    seated: false,
+    fromHeight,
+    tx: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const records = readAll();
+  records[String(offerId)] = record;
+  writeAll(records);
+  trackedLive.add(String(offerId));
+  return record;
+}
+
+/**
+ * Update a stored offer
+ *
+ * @param {number|string} offerId
+ * @param {Partial<OfferRecord>} patch
+ * @returns {OfferRecord | null}
+ */
+export function updateOffer(offerId, patch) {
+  const records = readAll();
+  const previous = records[String(offerId)];
+  if (!previous) {
+    return null;
+  }
+
+  const record = { ...previous, ...patch, updatedAt: Date.now() };
+  records[String(offerId)] = record;
+  writeAll(records);
+  if (record.status !== OFFER_STATUS.PENDING) {
+    trackedLive.delete(String(offerId));
+  }
+  return record;
+}
+
+/**
+ * Hand an offer whose outcome makeOffer gave up on to resumePendingOffers
+ *
+ * The record stays pending; the next resume (reload, network switch or
+ * failover) settles it from published state.
+ *
+ * @param {number|string} offerId
+ */
+export function releaseOffer(offerId) {
+  trackedLive.delete(String(offerId));
+}
+
+/**
+ * Update a resumed offer and tell the parent if its status changed
+ *
+ * Offers made in this page load report status from makeOffer instead.
+ */
+function updateResumedOffer(offerId, patch) {
+  const previous = getOffer({ offerId });
+  const record = updateOffer(offerId, patch);
+  if (record && record.status !== previous?.status) {
+    emitEvent(EVENTS.OFFER_STATUS, {
+      offerId: record.offerId,
+      surveyId: record.surveyId,
+      surveyIds: record.surveyIds,
+      status: record.status,
+      txHash: record.tx?.txHash || null,
+    });
+  }
+}
+
+/**
+ * Get one offer by offer id, or the latest offer for a survey
+ *
+ * @param {Object} params
+ * @param {number|string} [params.offerId]
+ * @param {string} [params.surveyId]
+ * @returns {OfferRecord | null}
+ */
+export function getOffer({ offerId, surveyId } = {}) {
+  const records = readAll();
+  if (offerId !== undefined && offerId !== null) {
+    return records[String(offerId)] || null;
+  }
+  if (surveyId) {
+    return (
+      Object.values(records)
+        .filter(
+          (record) =>
+            record.surveyId === surveyId ||
+            record.surveyIds?.includes(surveyId)
+        )
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .at(0) || null
+    );
+  }
+  return null;
+}
+
+/**
+ * List offers, newest first
+ *
+ * @param {Object} [filter]
+ * @param {string} [filter.status] - Only offers with this status
+ * @param {string} [filter.address] - Only offers made by this wallet
+ * @param {string} [filter.network] - Only offers on this network
+ * @returns {OfferRecord[]}
+ */
+export function listOffers({ status, address, network } = {}) {
+  return Object.values(readAll())
+    .filter(
+      (record) =>
+        (!status || record.status === status) &&
+        (!address || record.address === address) &&
+        (!network || record.network === network)
+    )
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Offers whose transaction lookup is in progress
+const settling = new Set();
+
+/**
+ * Map a final offerStatus to the record fields it settles
+ *
+ * @param {{ error?: *, numWantsSatisfied?: number } | null} offerStatus
+ * @returns {Partial<OfferRecord> | null} null while the offer is unfinished
+ */
+function outcomeOf(offerStatus) {
+  const { error, numWantsSatisfied } = offerStatus || {};
+  if (error) {
+    return { status: OFFER_STATUS.ERROR, error: String(error) };
+  }
+  if (numWantsSatisfied === 0) {
+    return { status: OFFER_STATUS.REFUNDED };
+  }
+  if (numWantsSatisfied === 1) {
+    return { status: OFFER_STATUS.ACCEPTED };
+  }
+  return null;
+}
+
+/**
+ * Settle an offer that left liveOffers after being used
+ */
+async function settleFinishedOffer(record, restEndpoints) {
+  const id = String(record.offerId);
+  if (settling.has(id)) {
+    return;
+  }
+  settling.add(id);
+
+  try {
+    await settleFromTransaction(record, restEndpoints);
+  } finally {
+    settling.delete(id);
+  }
+}
+
+/**
+ * Settle a used offer from its transaction and published offerStatus
+ *
+ * Leaving liveOffers only means the offer finished, not how: the
+ * outcome comes from the offer's own status record.
+ */
+async function settleFromTransaction(record, restEndpoints) {
+  const txData = await findOfferTransaction({
+    restEndpoints,
+    address: record.address,
+    offerId: record.offerId,
+    fromHeight: record.fromHeight,
+  });
+  const tx = txData
+    ? { txHash: txData.txn.transactionHash, height: txData.txn.height }
+    : null;
+
+  const outcome = txData?.txn.code
+    ? // The spend action itself failed; the offer never reached Zoe
+      {
+        status: OFFER_STATUS.ERROR,
+        error: txData.txn.rawLog || `Transaction failed: ${txData.txn.code}`,
+      }
+    : outcomeOf(
+        await findOfferStatus({
+          restEndpoints,
+          address: record.address,
+          offerId: record.offerId,
+          fromHeight: txData?.txn.height ?? record.fromHeight,
+        })
+      );
+
+  // Re-read: the offerStatus update may have settled it meanwhile
+  const latest = getOffer({ offerId: record.offerId });
+  if (!latest) {
+    return;
+  }
+  if (latest.status !== OFFER_STATUS.PENDING || !outcome) {
+    if (tx && !latest.tx) {
+      updateOffer(record.offerId, { tx });
+    }
+    if (!outcome) {
+      console.warn(
+        "[Agoric Sandbox] Outcome of offer unknown, still pending:",
+        record.offerId
+      );
+    }
+    return;
+  }
+
+  updateResumedOffer(record.offerId, { ...outcome, tx: tx || latest.tx });
+}
+
+/**
+ * Whether a pending offer has waited longer than PENDING_OFFER_EXPIRY_MS
+ */
+function isExpired(record) {
+  return Date.now() - record.createdAt > PENDING_OFFER_EXPIRY_MS;
+}
+
+/**
+ * Fail an expired offer unless its transaction is on chain
+ *
+ * The wallet record may never change again (or never exist), so this
+ * does not wait for it: the offer is looked up over REST and settled
+ * from its transaction when one is found.
+ */
+async function expireOffer(offerId, restEndpoints) {
+  const pending = getOffer({ offerId });
+  if (
+    !pending ||
+    pending.status !== OFFER_STATUS.PENDING ||
+    pending.tx ||
+    trackedLive.has(String(offerId))
+  ) {
+    return;
+  }
+
+  const txData = await findOfferTransaction({
+    restEndpoints,
+    address: pending.address,
+    offerId,
+    fromHeight: pending.fromHeight,
+  });
+  if (txData) {
+    await settleFinishedOffer(pending, restEndpoints);
+    return;
+  }
+
+  // Re-read: a wallet update may have settled it meanwhile
+  if (getOffer({ offerId })?.status === OFFER_STATUS.PENDING) {
+    updateResumedOffer(offerId, {
+      status: OFFER_STATUS.ERROR,
+      error: "Offer was never seen on chain",
+    });
+  }
+}
+
+/**
+ * Expire a resumed offer now, or once its expiry passes
+ *
+ * @returns {() => void} Cancels the pending check
+ */
+function scheduleExpiry(record, restEndpoints) {
+  const expire = () =>
+    expireOffer(record.offerId, restEndpoints).catch((error) =>
+      console.error("[Agoric Sandbox] Failed to expire offer:", error)
+    );
+
+  if (isExpired(record)) {
+    expire();
+    return () => {};
+  }
+  const timeout = setTimeout(
+    expire,
+    record.createdAt + PENDING_OFFER_EXPIRY_MS - Date.now()
+  );
+  return () => clearTimeout(timeout);
+}
+
+/**
+ * Apply a wallet record to the pending offers of its address
+ */
+function applyWalletRecord(resumedIds, record, restEndpoints) {
+  const liveIds = new Set(
+    (record.liveOffers || []).map(([offerId]) => String(offerId))
+  );
+  const usedIds = new Set(
+    (record.offerToUsedInvitation || []).map(([offerId]) => String(offerId))
+  );
+
+  resumedIds.forEach((id) => {
+    const pending = getOffer({ offerId: id });
+    if (!pending || pending.status !== OFFER_STATUS.PENDING) {
+      return;
+    }
+
+    if (liveIds.has(id)) {
+      if (!pending.seated) {
+        updateOffer(pending.offerId, { seated: true });
+      }
+    } else if (usedIds.has(id)) {
+      settleFinishedOffer(pending, restEndpoints).catch((error) =>
+        console.error("[Agoric Sandbox] Failed to settle offer:", error)
+      );
+    } else if (isExpired(pending)) {
+      updateResumedOffer(pending.offerId, {
+        status: OFFER_STATUS.ERROR,
+        error: "Offer was never seen on chain",
+      });
+    }
+  });
+}
+
+/**
+ * Apply the latest wallet update (offerStatus) to a pending offer
+ */
+function applyWalletUpdate(resumedIds, update) {
+  if (update?.updated !== "offerStatus" || !update.status) {
+    return;
+  }
+
+  const { id } = update.status;
+  if (!resumedIds.has(String(id))) {
+    return;
+  }
+  const pending = getOffer({ offerId: id });
+  if (!pending || pending.status !== OFFER_STATUS.PENDING) {
+    return;
+  }
+
+  const outcome = outcomeOf(update.status);
+  if (outcome) {
+    updateResumedOffer(id, outcome);
+  }
+}
+
+/**
+ * Resume watching every address with pending offers on a network
+ *
+ * @param {Object} params
+ * @param {Object} params.watcher - Chain storage watcher of the network
+ * @param {string} params.network
+ * @param {string[]} params.restEndpoints
+ * @returns {Array<() => void>} Unsubscribe functions (and expiry timers)
+ */
+export function resumePendingOffers({ watcher, network, restEndpoints }) {
+  // Offers makeOffer is still tracking (the watcher was rebuilt by
+  // SET_NETWORK or a failover) report their own status
+  const pending = listOffers({ status: OFFER_STATUS.PENDING, network }).filter(
+    (record) => !trackedLive.has(String(record.offerId))
+  );
+  const addresses = [...new Set(pending.map((record) => record.address))];
+
+  if (addresses.length > 0) {
+    console.log(
+      "[Agoric Sandbox] Resuming pending offers for:",
+      addresses.join(", ")
+    );
+  }
+
+  // Offers without a transaction expire even if their wallet stays quiet
+  const expiryTimers = pending
+    .filter((record) => !record.tx)
+    .map((record) => scheduleExpiry(record, restEndpoints));
+
+  const subscriptions = addresses.flatMap((address) => {
+    const resumedIds = new Set(
+      pending
+        .filter((record) => record.address === address)
+        .map((record) => String(record.offerId))
+    );
+
+    return [
+      watcher.watchLatest(
+        [Kind.Data, `published.wallet.${address}.current`],
+        (record) => {
+          if (record) {
+            applyWalletRecord(resumedIds, record, restEndpoints);
+          }
+        }
+      ),
+      watcher.watchLatest(
+        [Kind.Data, `published.wallet.${address}`],
+        (update) => applyWalletUpdate(resumedIds, update)
+      ),
+    ];
+  });
+
+  return [...subscriptions, ...expiryTimers];
+}
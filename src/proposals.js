@@ -0,0 +1,210 @@
+/**
+ * Offer Proposals
+ *
+ * Turns the parent's give/want (bank denoms and amounts) into a Zoe
+ * proposal, with brands and decimals from the asset registry:
+ *
+ *   { give: { Deposit: { denom: "uist", value: "1000000" } }, want: {} }
+ *
+ * The older { denom, totalAmount } form is read as give.Deposit.
+ */
+
+import {
+  formatAmount,
+  getAssetByDenom,
+  parseDisplayAmount,
+} from "./assets.js";
+import { validateAmount, validateDenom } from "./validation.js";
+
+export const PROPOSAL_ERRORS = {
+  INVALID_PROPOSAL: "INVALID_PROPOSAL",
+  INVALID_BRAND: "INVALID_BRAND",
+};
+
+// Zoe keywords are identifiers starting with an upper-case ASCII letter
+const KEYWORD_PATTERN = /^[A-Z][A-Za-z0-9_$]*$/;
+
+/**
+ * @typedef {Object} AmountSpec
+ * @property {string} denom - Bank denom (e.g., "uist", "ibc/...")
+ * @property {string} [value] - Amount in the smallest unit
+ * @property {string} [displayValue] - Amount in display units (e.g., "1.5")
+ */
+
+/**
+ * @typedef {Object} ResolvedAmount
+ * @property {string} denom
+ * @property {string} brandKey
+ * @property {any} brand
+ * @property {number} decimals
+ * @property {bigint} value - Amount in the smallest unit
+ */
+
+/**
+ * Resolve one amount spec against the asset registry
+ * @param {string} field - Parameter path (for error messages)
+ * @param {AmountSpec} spec
+ * @returns {ResolvedAmount}
+ */
+function resolveAmount(field, spec) {
+  if (!spec || typeof spec !== "object") {
+    throw {
+      code: PROPOSAL_ERRORS.INVALID_PROPOSAL,
+      message: `${field} must be { denom, value } or { denom, displayValue }`,
+    };
+  }
+
+  const denom = validateDenom(`${field}.denom`, spec.denom);
+  const asset = getAssetByDenom(denom);
+  if (!asset?.brand) {
+    throw {
+      code: PROPOSAL_ERRORS.INVALID_BRAND,
+      message: `No agoricNames vbank asset for denom ${denom}`,
+    };
+  }
+
+  const value =
+    spec.displayValue !== undefined
+      ? parseDisplayAmount(
+          `${field}.displayValue`,
+          spec.displayValue,
+          asset.decimals
+        )
+      : validateAmount(`${field}.value`, spec.value);
+
+  return { ...asset, value };
+}
+
+/**
+ * Resolve a keyword record (give or want)
+ * @param {string} side - "give" or "want"
+ * @param {Object<string, AmountSpec>} [record]
+ * @returns {Object<string, ResolvedAmount>}
+ */
+function resolveKeywordRecord(side, record = {}) {
+  if (record === null || typeof record !== "object" || Array.isArray(record)) {
+    throw {
+      code: PROPOSAL_ERRORS.INVALID_PROPOSAL,
+      message: `${side} must map keywords to amounts`,
+    };
+  }
+
+  return Object.fromEntries(
+    Object.entries(record).map(([keyword, spec]) => {
+      if (!KEYWORD_PATTERN.test(keyword)) {
+        throw {
+          code: PROPOSAL_ERRORS.INVALID_PROPOSAL,
+          message: `${side}.${keyword} is not a valid keyword (must start with an upper-case letter)`,
+        };
+      }
+      return [keyword, resolveAmount(`${side}.${keyword}`, spec)];
+    })
+  );
+}
+
+/**
+ * Validate and resolve an offer's give/want
+ *
+ * @param {Object} params
+ * @param {Object<string, AmountSpec>} [params.give]
+ * @param {Object<string, AmountSpec>} [params.want]
+ * @param {string} [params.denom] - Older form: give.Deposit denom
+ * @param {string} [params.totalAmount] - Older form: give.Deposit value
+ * @returns {{ give: Object<string, ResolvedAmount>, want: Object<string, ResolvedAmount> }}
+ */
+export function resolveProposal({ give, want, denom, totalAmount } = {}) {
+  const giveSpecs =
+    give === undefined && (denom !== undefined || totalAmount !== undefined)
+      ? { Deposit: { denom, value: totalAmount } }
+      : give;
+
+  const proposal = {
+    give: resolveKeywordRecord("give", giveSpecs),
+    want: resolveKeywordRecord("want", want),
+  };
+
+  if (
+    Object.keys(proposal.give).length === 0 &&
+    Object.keys(proposal.want).length === 0
+  ) {
+    throw {
+      code: PROPOSAL_ERRORS.INVALID_PROPOSAL,
+      message: "Proposal must give or want at least one amount",
+    };
+  }
+  return proposal;
+}
+
+/**
+ * Build the Zoe proposal (brands and bigint values)
+ * @param {{ give: Object<string, ResolvedAmount>, want: Object<string, ResolvedAmount> }} proposal
+ * @returns {{ give: Object, want: Object }}
+ */
+export function toZoeProposal({ give, want }) {
+  const toAmounts = (record) =>
+    Object.fromEntries(
+      Object.entries(record).map(([keyword, { brand, value }]) => [
+        keyword,
+        { brand, value },
+      ])
+    );
+  return { give: toAmounts(give), want: toAmounts(want) };
+}
+
+/**
+ * Describe a resolved keyword record as plain data for the parent
+ * @param {Object<string, ResolvedAmount>} record
+ * @returns {Object<string, { denom: string, brand: string, value: string, formatted: string }>}
+ */
+export function describeAmounts(record) {
+  return Object.fromEntries(
+    Object.entries(record).map(([keyword, amount]) => [
+      keyword,
+      {
+        denom: amount.denom,
+        brand: amount.brandKey,
+        value: amount.value.toString(),
+        formatted: formatAmount(amount.value, amount.decimals),
+      },
+    ])
+  );
+}
+
+/**
+ * Add one give record to a running total, keyword by keyword
+ *
+ * The same keyword must use the same denom everywhere it appears.
+ *
+ * @param {Object<string, ResolvedAmount>} total
+ * @param {Object<string, ResolvedAmount>} record
+ * @returns {Object<string, ResolvedAmount>} A new total; inputs are unchanged
+ */
+export function addKeywordRecords(total, record) {
+  const sum = { ...total };
+  Object.entries(record).forEach(([keyword, amount]) => {
+    const existing = sum[keyword];
+    if (existing && existing.denom !== amount.denom) {
+      throw {
+        code: PROPOSAL_ERRORS.INVALID_PROPOSAL,
+        message: `${keyword} is ${existing.denom} elsewhere in the batch, not ${amount.denom}`,
+      };
+    }
+    sum[keyword] = existing
+      ? { ...existing, value: existing.value + amount.value }
+      : amount;
+  });
+  return sum;
+}
+
+/**
+ * Total the amounts of a keyword record per denom
+ * @param {Object<string, ResolvedAmount>} record
+ * @returns {Map<string, bigint>}
+ */
+export function sumByDenom(record) {
+  const totals = new Map();
+  Object.values(record).forEach(({ denom, value }) =>
+    totals.set(denom, (totals.get(denom) || BigInt(0)) + value)
+  );
+  return totals;
+}
@@ -0,0 +1,76 @@
+/**
+ * Sandbox Protocol
+ *
+ * Message and command names shared by the sandbox (index.js, bridge.js)
+ * and the parent-side client (client.js). Keep this module free of SDK
+ * imports: it is bundled into the parent app as well.
+ *
+ * Versioning: PROTOCOL_VERSION is bumped whenever the shape of an existing
+ * message changes incompatibly. Adding a command does not bump it; parents
+ * discover new commands through the capability list instead.
+ */
+
+// Version 1 was the original window-only protocol without a handshake
+export const PROTOCOL_VERSION = 2;
+
+// Bridge-level messages (handshake, transport, replies)
+export const BRIDGE_MESSAGES = {
+  READY: "AGORIC_READY",
+  RESPONSE: "AGORIC_RESPONSE",
+  HANDSHAKE: "AGORIC_HANDSHAKE",
+  HANDSHAKE_ACK: "AGORIC_HANDSHAKE_ACK",
+  CONNECT_PORT: "AGORIC_CONNECT_PORT",
+  PORT_CONNECTED: "AGORIC_PORT_CONNECTED",
+  EVENT: "AGORIC_EVENT",
+};
+
+export const BRIDGE_ERRORS = {
+  ORIGIN_NOT_ALLOWED: "ORIGIN_NOT_ALLOWED",
+  HANDSHAKE_REQUIRED: "HANDSHAKE_REQUIRED",
+  PORT_SESSION_ACTIVE: "PORT_SESSION_ACTIVE",
+  PORT_MISSING: "PORT_MISSING",
+};
+
+// Commands handled by the sandbox message handler
+export const COMMANDS = {
+  CONNECT_WALLET: "CONNECT_WALLET",
+  DISCONNECT_WALLET: "DISCONNECT_WALLET",
+  RESTORE_SESSION: "RESTORE_SESSION",
+  SIGN_DATA: "SIGN_DATA",
+  VERIFY_SIGNATURE: "VERIFY_SIGNATURE",
+  FUND_SURVEY: "FUND_SURVEY",
+  FUND_SURVEYS_BATCH: "FUND_SURVEYS_BATCH",
+  CLAIM_REWARDS: "CLAIM_REWARDS",
+  SPONSOR_PARTICIPANT_GAS: "SPONSOR_PARTICIPANT_GAS",
+  SIMULATE: "SIMULATE",
+  CANCEL_REQUEST: "CANCEL_REQUEST",
+  GET_STATUS: "GET_STATUS",
+  GET_ACCOUNT: "GET_ACCOUNT",
+  LIST_ACCOUNTS: "LIST_ACCOUNTS",
+  CREATE_ACCOUNT: "CREATE_ACCOUNT",
+  INVOKE_ACCOUNT: "INVOKE_ACCOUNT",
+  GET_BALANCES: "GET_BALANCES",
+  CHECK_AFFORDABILITY: "CHECK_AFFORDABILITY",
+  GET_OFFER_STATUS: "GET_OFFER_STATUS",
+  LIST_PENDING_OFFERS: "LIST_PENDING_OFFERS",
+  GET_CAPABILITIES: "GET_CAPABILITIES",
+  SET_NETWORK: "SET_NETWORK",
+  REGISTER_NETWORK: "REGISTER_NETWORK",
+  SUBSCRIBE: "SUBSCRIBE",
+  UNSUBSCRIBE: "UNSUBSCRIBE",
+};
+
+// Topics for unsolicited AGORIC_EVENT messages (see events.js)
+export const EVENTS = {
+  WALLET_RECORD_UPDATED: "WALLET_RECORD_UPDATED",
+  OFFER_STATUS: "OFFER_STATUS",
+  BRANDS_UPDATED: "BRANDS_UPDATED",
+  INSTANCE_UPDATED: "INSTANCE_UPDATED",
+  WALLET_CHANGED: "WALLET_CHANGED",
+  ACCOUNT_CREATED: "ACCOUNT_CREATED",
+};
+
+export const PROTOCOL_ERRORS = {
+  UNSUPPORTED_COMMAND: "UNSUPPORTED_COMMAND",
+  INVALID_TOPIC: "INVALID_TOPIC",
+};
@@ -0,0 +1,88 @@
+/**
+ * Readiness Signals
+ *
+ * Chain data arrives asynchronously from the storage watcher. Instead of
+ * sleeping and hoping it has synced, callers wait on a signal that is
+ * set by the watcher callback, with a timeout that fails loudly.
+ */
+
+export const READINESS_ERRORS = {
+  CHAIN_DATA_TIMEOUT: "CHAIN_DATA_TIMEOUT",
+};
+
+export const DEFAULT_CHAIN_DATA_TIMEOUT_MS = 15000;
+
+/**
+ * Create a signal for a piece of chain data
+ *
+ * @param {string} name - What the signal tracks (used in error messages)
+ */
+export function makeReadySignal(name) {
+  let value;
+  let hasValue = false;
+  const waiters = new Set();
+
+  return {
+    /**
+     * Record the latest value and wake every waiter it satisfies
+     * @param {*} latest
+     */
+    set(latest) {
+      value = latest;
+      hasValue = true;
+      for (const waiter of [...waiters]) {
+        if (waiter.until(latest)) {
+          waiters.delete(waiter);
+          waiter.resolve(latest);
+        }
+      }
+    },
+
+    /**
+     * Forget the current value (e.g. when the watcher is rebuilt)
+     *
+     * Pending waiters keep waiting for the next value.
+     */
+    reset() {
+      value = undefined;
+      hasValue = false;
+    },
+
+    /** @returns {boolean} Whether a value has arrived */
+    get isReady() {
+      return hasValue;
+    },
+
+    /**
+     * Wait for a value
+     *
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Reject with CHAIN_DATA_TIMEOUT after this long
+     * @param {(value: *) => boolean} [options.until] - Keep waiting until this holds
+     * @returns {Promise<*>} The first value satisfying `until`
+     */
+    wait({ timeoutMs = DEFAULT_CHAIN_DATA_TIMEOUT_MS, until = () => true } = {}) {
+      if (hasValue && until(value)) {
+        return Promise.resolve(value);
+      }
+
+      return new Promise((resolve, reject) => {
+        const waiter = {
+          until,
+          resolve: (latest) => {
+            clearTimeout(timer);
+            resolve(latest);
+          },
+        };
+        const timer = setTimeout(() => {
+          waiters.delete(waiter);
+          reject({
+            code: READINESS_ERRORS.CHAIN_DATA_TIMEOUT,
+            message: `Timed out after ${timeoutMs}ms waiting for ${name}`,
+          });
+        }, timeoutMs);
+        waiters.add(waiter);
+      });
+    },
+  };
+}
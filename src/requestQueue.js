@@ -0,0 +1,165 @@
+/**
+ * Request Queue
+ *
+ * Commands that open a wallet prompt or change wallet state run one at a
+ * time, in arrival order. Otherwise two FUND_SURVEY requests both see "no
+ * account" and create two kits.
+ *
+ * - Idempotency: a request carrying an `idempotencyKey` already seen
+ *   gets the original request's result instead of running again.
+ * - Cancellation: CANCEL_REQUEST drops a queued request. A running one is
+ *   stopped at its next checkpoint (throwIfCancelled), which commands
+ *   place right before the signing prompt.
+ */
+
+export const QUEUE_ERRORS = {
+  REQUEST_CANCELLED: "REQUEST_CANCELLED",
+  IDEMPOTENCY_KEY_REUSED: "IDEMPOTENCY_KEY_REUSED",
+};
+
+export const REQUEST_STATES = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  UNKNOWN: "unknown",
+};
+
+// Idempotency keys remembered, oldest dropped first
+const MAX_IDEMPOTENCY_KEYS = 200;
+
+const queue = {
+  // Waiting entries, oldest first: { requestId, run, reject }
+  waiting: [],
+  // Entry being processed, with `cancelled` set by CANCEL_REQUEST
+  running: null,
+  // idempotencyKey -> { type, promise }
+  results: new Map(),
+};
+
+/**
+ * Start the next waiting entry if nothing is running
+ */
+function runNext() {
+  if (queue.running || queue.waiting.length === 0) {
+    return;
+  }
+
+  const entry = queue.waiting.shift();
+  queue.running = entry;
+  entry.run().finally(() => {
+    queue.running = null;
+    runNext();
+  });
+}
+
+/**
+ * Run a task after every task queued before it
+ *
+ * @param {string} requestId - Id of the command message
+ * @param {() => Promise<*>} task
+ * @returns {Promise<*>} The task's result
+ */
+function enqueue(requestId, task) {
+  return new Promise((resolve, reject) => {
+    queue.waiting.push({
+      requestId,
+      cancelled: false,
+      reject,
+      run: () => task().then(resolve, reject),
+    });
+    runNext();
+  });
+}
+
+/**
+ * Queue a wallet-mutating command
+ *
+ * @param {Object} params
+ * @param {string} params.requestId - Id of the command message
+ * @param {string} params.type - Command type
+ * @param {string} [params.idempotencyKey] - Caller-chosen key; a repeat returns the first result
+ * @param {() => Promise<*>} task
+ * @returns {Promise<*>}
+ */
+export function runSerialized({ requestId, type, idempotencyKey }, task) {
+  if (idempotencyKey === undefined || idempotencyKey === null) {
+    return enqueue(requestId, task);
+  }
+
+  const previous = queue.results.get(idempotencyKey);
+  if (previous) {
+    if (previous.type !== type) {
+      return Promise.reject({
+        code: QUEUE_ERRORS.IDEMPOTENCY_KEY_REUSED,
+        message: `idempotencyKey was already used for ${previous.type}`,
+      });
+    }
+    console.log("[Agoric Sandbox] Repeated request:", idempotencyKey);
+    return previous.promise;
+  }
+
+  const promise = enqueue(requestId, task);
+  queue.results.set(idempotencyKey, { type, promise });
+  if (queue.results.size > MAX_IDEMPOTENCY_KEYS) {
+    queue.results.delete(queue.results.keys().next().value);
+  }
+
+  // A failed request may be sent again with the same key
+  promise.catch(() => {
+    if (queue.results.get(idempotencyKey)?.promise === promise) {
+      queue.results.delete(idempotencyKey);
+    }
+  });
+  return promise;
+}
+
+/**
+ * Cancel a queued or running command
+ *
+ * @param {string} requestId - Id of the command message to cancel
+ * @returns {{ requestId: string, cancelled: boolean, state: string }}
+ */
+export function cancelRequest(requestId) {
+  const index = queue.waiting.findIndex(
+    (entry) => entry.requestId === requestId
+  );
+  if (index !== -1) {
+    const [entry] = queue.waiting.splice(index, 1);
+    entry.reject({
+      code: QUEUE_ERRORS.REQUEST_CANCELLED,
+      message: "Request was cancelled before it started",
+    });
+    return { requestId, cancelled: true, state: REQUEST_STATES.QUEUED };
+  }
+
+  if (queue.running?.requestId === requestId) {
+    // Stops at the next checkpoint; past the prompt it is too late
+    queue.running.cancelled = true;
+    return { requestId, cancelled: true, state: REQUEST_STATES.RUNNING };
+  }
+
+  return { requestId, cancelled: false, state: REQUEST_STATES.UNKNOWN };
+}
+
+/**
+ * Checkpoint: fail if the running command was cancelled
+ *
+ * Call right before anything irreversible (the signing prompt).
+ *
+ * @throws {{ code: "REQUEST_CANCELLED", message: string }}
+ */
+export function throwIfCancelled() {
+  if (queue.running?.cancelled) {
+    throw {
+      code: QUEUE_ERRORS.REQUEST_CANCELLED,
+      message: "Request was cancelled before signing",
+    };
+  }
+}
+
+/**
+ * Number of commands waiting behind the running one
+ * @returns {number}
+ */
+export function getQueueLength() {
+  return queue.waiting.length;
+}
@@ -0,0 +1,63 @@
+/**
+ * Wallet Session
+ *
+ * The last successful wallet connection is kept in iframe-origin
+ * localStorage, so RESTORE_SESSION can reconnect after a reload without
+ * the user clicking connect again:
+ *
+ *   { walletType, network, address, connectedAt }
+ *
+ * DISCONNECT_WALLET clears it.
+ */
+
+const STORAGE_KEY = "agoric-sandbox:session";
+
+/**
+ * @typedef {Object} WalletSession
+ * @property {string} walletType - Adapter type ("keplr", "leap", ...)
+ * @property {string} network
+ * @property {string} address
+ * @property {number} connectedAt
+ */
+
+/**
+ * Read the stored session
+ * @returns {WalletSession | null}
+ */
+export function loadSession() {
+  try {
+    const session = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return session?.walletType && session?.network ? session : null;
+  } catch (error) {
+    console.warn("[Agoric Sandbox] Could not read session storage:", error);
+    return null;
+  }
+}
+
+/**
+ * Remember a successful connection
+ * @param {{ walletType: string, network: string, address: string }} session
+ */
+export function saveSession({ walletType, network, address }) {
+  try {
+    window.localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({ walletType, network, address, connectedAt: Date.now() })
+    );
+  } catch (error) {
+    // Storage can be disabled for third-party frames; the parent then
+    // has to connect on every load
+    console.warn("[Agoric Sandbox] Could not persist session:", error);
+  }
+}
+
+/**
+ * Forget the stored session
+ */
+export function clearSession() {
+  try {
+    window.localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    console.warn("[Agoric Sandbox] Could not clear session:", error);
+  }
+}
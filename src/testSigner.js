@@ -0,0 +1,82 @@
+/**
+ * Test Signer (development builds only)
+ *
+ * A wallet adapter backed by a mnemonic instead of a browser extension,
+ * so the bridge can run end-to-end in CI against a local chain or a mock
+ * REST/RPC server. Transactions are signed by a DirectSecp256k1HdWallet;
+ * Amino and ADR-036 documents by a Secp256k1HdWallet on the same key.
+ *
+ * index.js only installs it when NODE_ENV is not "production", and the
+ * webpack config refuses to build production with it enabled.
+ */
+
+import { Secp256k1HdWallet } from "@cosmjs/amino";
+import { stringToPath } from "@cosmjs/crypto";
+import { DirectSecp256k1HdWallet } from "@cosmjs/proto-signing";
+import { makeADR036AminoDoc } from "./adr036.js";
+import { WALLET_ERRORS } from "./wallets.js";
+
+export const TEST_WALLET_TYPE = "test";
+
+// Agoric's derivation path (BIP-44 coin type 564)
+const AGORIC_HD_PATH = "m/44'/564'/0'/0/0";
+
+/**
+ * Make the test signer adapter
+ *
+ * @param {Object} params
+ * @param {string} params.mnemonic - BIP-39 mnemonic of the test account
+ * @returns {import("./wallets.js").WalletAdapter}
+ */
+export function makeTestSignerAdapter({ mnemonic }) {
+  let wallets = null;
+
+  // Derived on first use; key derivation is slow
+  const getWallets = async () => {
+    if (!mnemonic) {
+      throw {
+        code: WALLET_ERRORS.WALLET_NOT_INSTALLED,
+        message: "Test signer has no mnemonic (set testMnemonic)",
+      };
+    }
+    if (!wallets) {
+      const options = {
+        prefix: "agoric",
+        hdPaths: [stringToPath(AGORIC_HD_PATH)],
+      };
+      const [direct, amino] = await Promise.all([
+        DirectSecp256k1HdWallet.fromMnemonic(mnemonic, options),
+        Secp256k1HdWallet.fromMnemonic(mnemonic, options),
+      ]);
+      wallets = { direct, amino };
+    }
+    return wallets;
+  };
+
+  const signAmino = async (chainId, signer, signDoc) => {
+    const { amino } = await getWallets();
+    return amino.signAmino(signer, signDoc);
+  };
+
+  return {
+    type: TEST_WALLET_TYPE,
+    name: "Test signer",
+    // One fixed key: the account never changes
+    keystoreChangeEvent: null,
+    isAvailable: () => true,
+    // Nothing to suggest or approve: the key is already here
+    suggestChain: async () => {},
+    enable: async () => {
+      await getWallets();
+    },
+    isEnabled: async () => {
+      await getWallets();
+      return true;
+    },
+    // Only called after enable() or isEnabled(), so the wallets exist
+    getOfflineSigner: () => wallets.direct,
+    signAmino,
+    signArbitrary: (chainId, signer, data) =>
+      signAmino(chainId, signer, makeADR036AminoDoc(data, signer)),
+  };
+}
@@ -0,0 +1,319 @@
+/**
+ * Offer Transaction Lookup
+ *
+ * Finds the MsgWalletSpendAction transaction that carried a given offer.
+ * Matching is by the exact offer id inside `spend_action`, searched over
+ * a window of blocks starting where the offer was submitted - never
+ * "whatever the wallet sent last".
+ *
+ * Also reads an offer's final offerStatus back from the smart wallet's
+ * vstorage history, for offers whose live update was missed.
+ */
+
+import { fetchRest } from "./endpoints.js";
+
+// How many blocks after submission to search
+export const DEFAULT_SEARCH_BLOCKS = 100;
+
+const PAGE_SIZE = 50;
+const MAX_PAGES = 5;
+
+// The tx indexer can trail the wallet record by a block or two
+const SEARCH_ATTEMPTS = 3;
+const SEARCH_RETRY_MS = 1500;
+
+// Wallet stream cells read back when looking for an offer's status
+const MAX_STATUS_CELLS = 20;
+
+/**
+ * Decode a smallcaps capData string
+ *
+ * {"body":"#{...}","slots":[...]}: the "#" prefix marks smallcaps
+ * encoding, where bigints are "+<digits>". Slots are not resolved.
+ *
+ * @param {string} capData
+ * @returns {* | null} The decoded body, or null if not smallcaps
+ */
+function parseCapData(capData) {
+  try {
+    const { body } = JSON.parse(capData);
+    if (typeof body !== "string" || !body.startsWith("#")) {
+      return null;
+    }
+    return JSON.parse(body.slice(1));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Normalize a decoded offer id (number or smallcaps bigint) to a string
+ * @param {number | string} id
+ * @returns {string}
+ */
+function readOfferId(id) {
+  return typeof id === "string" && id.startsWith("+")
+    ? id.slice(1)
+    : String(id);
+}
+
+/**
+ * Read the offer id from a smart-wallet spend action
+ *
+ * spend_action is a marshalled capData string:
+ * {"body":"#{\"method\":\"executeOffer\",\"offer\":{\"id\":1767643141199,...}}","slots":[...]}
+ *
+ * @param {string} spendAction
+ * @returns {string | null} Offer id as a string, or null if not an offer
+ */
+export function parseSpendActionOfferId(spendAction) {
+  const action = parseCapData(spendAction);
+  if (action?.method !== "executeOffer" || action.offer?.id === undefined) {
+    return null;
+  }
+  return readOfferId(action.offer.id);
+}
+
+/**
+ * Check whether a tx response carries the offer
+ * @param {Object} txResponse - Cosmos REST tx_response
+ * @param {string} offerId
+ */
+function carriesOffer(txResponse, offerId) {
+  return (txResponse.tx?.body?.messages || []).some(
+    (message) =>
+      message.spend_action &&
+      parseSpendActionOfferId(message.spend_action) === offerId
+  );
+}
+
+/**
+ * Get the latest block height from REST
+ * @param {string[]} restEndpoints
+ * @returns {Promise<number | null>}
+ */
+export async function getLatestHeight(restEndpoints) {
+  try {
+    const response = await fetchRest(
+      restEndpoints,
+      "/cosmos/base/tendermint/v1beta1/blocks/latest"
+    );
+    if (!response.ok) {
+      return null;
+    }
+    const data = await response.json();
+    return parseInt(data.block?.header?.height, 10) || null;
+  } catch (error) {
+    console.warn("[Agoric Sandbox] Could not read latest height:", error);
+    return null;
+  }
+}
+
+/**
+ * Search one block window for the offer's transaction
+ */
+async function searchOnce({
+  restEndpoints,
+  address,
+  offerId,
+  fromHeight,
+  toHeight,
+}) {
+  const conditions = [`message.sender='${address}'`];
+  if (fromHeight) {
+    conditions.push(`tx.height>=${fromHeight}`);
+  }
+  if (toHeight) {
+    conditions.push(`tx.height<=${toHeight}`);
+  }
+  const query = encodeURIComponent(conditions.join(" AND "));
+
+  for (let page = 1; page <= MAX_PAGES; page += 1) {
+    const response = await fetchRest(
+      restEndpoints,
+      `/cosmos/tx/v1beta1/txs?query=${query}&order_by=ORDER_BY_ASC&page=${page}&limit=${PAGE_SIZE}`
+    );
+    if (!response.ok) {
+      console.error(
+        "[Agoric Sandbox] Failed to search transactions:",
+        response.status
+      );
+      return null;
+    }
+
+    const data = await response.json();
+    const txResponses = data.tx_responses || [];
+    const match = txResponses.find((tx) => carriesOffer(tx, offerId));
+    if (match) {
+      return match;
+    }
+    if (txResponses.length < PAGE_SIZE) {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the transaction that submitted an offer
+ *
+ * @param {Object} params
+ * @param {string[]} params.restEndpoints - REST endpoints of the network
+ * @param {string} params.address - Wallet address that made the offer
+ * @param {number|string} params.offerId - Exact offer id
+ * @param {number | null} [params.fromHeight] - Height before the offer was submitted
+ * @param {number} [params.searchBlocks] - Window size in blocks
+ * @returns {Promise<Object | null>} TransactionData (see index.js), or null when not found
+ */
+export async function findOfferTransaction({
+  restEndpoints,
+  address,
+  offerId,
+  fromHeight = null,
+  searchBlocks = DEFAULT_SEARCH_BLOCKS,
+}) {
+  const wantedId = String(offerId);
+  const toHeight = fromHeight ? fromHeight + searchBlocks : null;
+
+  for (let attempt = 1; attempt <= SEARCH_ATTEMPTS; attempt += 1) {
+    try {
+      const txResponse = await searchOnce({
+        restEndpoints,
+        address,
+        offerId: wantedId,
+        fromHeight,
+        toHeight,
+      });
+
+      if (txResponse) {
+        console.log(
+          "[Agoric Sandbox] Found offer transaction:",
+          txResponse.txhash,
+          "offerId:",
+          wantedId
+        );
+        return {
+          txn: {
+            transactionHash: txResponse.txhash || "",
+            code: txResponse.code,
+            height: parseInt(txResponse.height, 10) || 0,
+            rawLog: txResponse.raw_log || "",
+            gasUsed: BigInt(txResponse.gas_used || 0),
+            gasWanted: BigInt(txResponse.gas_wanted || 0),
+            events: txResponse.events || [],
+          },
+          offerId,
+        };
+      }
+    } catch (error) {
+      console.warn("[Agoric Sandbox] Transaction search failed:", error);
+    }
+
+    if (attempt < SEARCH_ATTEMPTS) {
+      await new Promise((resolve) => setTimeout(resolve, SEARCH_RETRY_MS));
+    }
+  }
+
+  console.warn(
+    "[Agoric Sandbox] No transaction found for offer:",
+    wantedId,
+    { fromHeight, toHeight }
+  );
+  return null;
+}
+
+/**
+ * Read one stream cell of a vstorage path
+ *
+ * @param {string[]} restEndpoints
+ * @param {string} path - e.g. "published.wallet.agoric1..."
+ * @param {number} [height] - Read as of this block; latest when omitted
+ * @returns {Promise<{ blockHeight: number, values: string[] } | null>}
+ */
+async function readStreamCell(restEndpoints, path, height) {
+  const response = await fetchRest(
+    restEndpoints,
+    `/agoric/vstorage/data/${path}`,
+    height ? { headers: { "x-cosmos-block-height": String(height) } } : {}
+  );
+  if (!response.ok) {
+    return null;
+  }
+  const { value } = await response.json();
+  if (!value) {
+    return null;
+  }
+  const cell = JSON.parse(value);
+  return {
+    blockHeight: parseInt(cell.blockHeight, 10) || 0,
+    values: cell.values || [],
+  };
+}
+
+/**
+ * Find the final offerStatus an offer published
+ *
+ * published.wallet.<addr> only holds the latest block's updates, so
+ * earlier cells are read back, newest first, until the offer's final
+ * status (one with `error` or `numWantsSatisfied`) turns up or the walk
+ * passes fromHeight.
+ *
+ * @param {Object} params
+ * @param {string[]} params.restEndpoints - REST endpoints of the network
+ * @param {string} params.address - Wallet address that made the offer
+ * @param {number|string} params.offerId - Exact offer id
+ * @param {number | null} [params.fromHeight] - Height before the offer was submitted
+ * @returns {Promise<{ error?: string, numWantsSatisfied?: number } | null>}
+ *   The decoded offerStatus, or null when not found
+ */
+export async function findOfferStatus({
+  restEndpoints,
+  address,
+  offerId,
+  fromHeight = null,
+}) {
+  const wantedId = String(offerId);
+  const path = `published.wallet.${address}`;
+  let height;
+
+  try {
+    for (let read = 0; read < MAX_STATUS_CELLS; read += 1) {
+      const cell = await readStreamCell(restEndpoints, path, height);
+      if (!cell) {
+        return null;
+      }
+
+      // Updates are in publication order; the offer's last one wins
+      const update = cell.values
+        .map(parseCapData)
+        .reverse()
+        .find(
+          (value) =>
+            value?.updated === "offerStatus" &&
+            value.status &&
+            readOfferId(value.status.id) === wantedId &&
+            (value.status.error !== undefined ||
+              value.status.numWantsSatisfied !== undefined)
+        );
+      if (update) {
+        return update.status;
+      }
+
+      if (
+        cell.blockHeight <= 1 ||
+        (fromHeight && cell.blockHeight <= fromHeight)
+      ) {
+        break;
+      }
+      // The cell as of the previous block is the one before this
+      height = cell.blockHeight - 1;
+    }
+  } catch (error) {
+    console.warn("[Agoric Sandbox] Offer status lookup failed:", error);
+    return null;
+  }
+
+  console.warn("[Agoric Sandbox] No final status found for offer:", wantedId);
+  return null;
+}
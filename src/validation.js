@@ -0,0 +1,94 @@
+/**
+ * Input Validation
+ *
+ * Pre-flight checks on command parameters. They run before any wallet
+ * prompt, both for real sends and for SIMULATE.
+ */
+
+import { fromBech32 } from "@cosmjs/encoding";
+
+export const VALIDATION_ERRORS = {
+  INVALID_ADDRESS: "INVALID_ADDRESS",
+  INVALID_AMOUNT: "INVALID_AMOUNT",
+  INVALID_DENOM: "INVALID_DENOM",
+  INVALID_MESSAGES: "INVALID_MESSAGES",
+};
+
+/**
+ * Validate a bech32 account address
+ * @param {string} field - Parameter name (for the error message)
+ * @param {string} value
+ * @param {string} [prefix] - Expected human-readable part
+ * @returns {string}
+ */
+export function validateAddress(field, value, prefix = "agoric") {
+  let decoded;
+  try {
+    decoded = fromBech32(value);
+  } catch (error) {
+    throw {
+      code: VALIDATION_ERRORS.INVALID_ADDRESS,
+      message: `${field} is not a bech32 address: ${value}`,
+    };
+  }
+  if (decoded.prefix !== prefix) {
+    throw {
+      code: VALIDATION_ERRORS.INVALID_ADDRESS,
+      message: `${field} must be an ${prefix}1... address: ${value}`,
+    };
+  }
+  return value;
+}
+
+/**
+ * Validate a positive integer amount in the smallest unit
+ * @param {string} field - Parameter name (for the error message)
+ * @param {string | number} value
+ * @returns {bigint}
+ */
+export function validateAmount(field, value) {
+  if (!/^\d+$/.test(String(value)) || BigInt(value) <= BigInt(0)) {
+    throw {
+      code: VALIDATION_ERRORS.INVALID_AMOUNT,
+      message: `${field} must be a positive integer amount in the smallest unit: ${value}`,
+    };
+  }
+  return BigInt(value);
+}
+
+/**
+ * Validate a bank denom
+ * @param {string} field - Parameter name (for the error message)
+ * @param {string} value
+ * @returns {string}
+ */
+export function validateDenom(field, value) {
+  if (!value || typeof value !== "string") {
+    throw {
+      code: VALIDATION_ERRORS.INVALID_DENOM,
+      message: `${field} is required`,
+    };
+  }
+  return value;
+}
+
+/**
+ * Validate the messages passed through to the contract
+ * @param {Array} messages
+ * @returns {Array}
+ */
+export function validateMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw {
+      code: VALIDATION_ERRORS.INVALID_MESSAGES,
+      message: "messages must be a non-empty array",
+    };
+  }
+  if (messages.some((message) => !message || typeof message !== "object")) {
+    throw {
+      code: VALIDATION_ERRORS.INVALID_MESSAGES,
+      message: "every message must be an object",
+    };
+  }
+  return messages;
+}
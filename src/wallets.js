@@ -0,0 +1,293 @@
+/**
+ * Wallet Adapters
+ *
+ * Keplr, Leap and Cosmostation all inject a Keplr-compatible provider
+ * (window.keplr, window.leap, window.cosmostation.providers.keplr). Each
+ * adapter wraps one of them behind the same interface, so the rest of the
+ * sandbox never touches a provider directly:
+ *
+ *   suggestChain, enable, isEnabled, getOfflineSigner, signAmino,
+ *   signArbitrary
+ *
+ * The signing client is built here from the adapter's offline signer;
+ * index.js signs and broadcasts with it directly.
+ */
+
+import {
+  agoricConverters,
+  agoricRegistryTypes,
+} from "@agoric/web-components";
+import { Registry } from "@cosmjs/proto-signing";
+import {
+  AminoTypes,
+  createDefaultAminoConverters,
+  defaultRegistryTypes,
+  SigningStargateClient,
+} from "@cosmjs/stargate";
+import { makeADR036AminoDoc } from "./adr036.js";
+import { GAS_PRICE } from "./gas.js";
+
+export const WALLET_ERRORS = {
+  KEPLR_NOT_INSTALLED: "KEPLR_NOT_INSTALLED",
+  WALLET_NOT_INSTALLED: "WALLET_NOT_INSTALLED",
+  UNSUPPORTED_WALLET: "UNSUPPORTED_WALLET",
+};
+
+export const WALLET_TYPES = {
+  KEPLR: "keplr",
+  LEAP: "leap",
+  COSMOSTATION: "cosmostation",
+};
+
+// Agoric's BIP-44 coin type
+const AGORIC_COIN_TYPE = 564;
+
+const BLD_CURRENCY = {
+  coinDenom: "BLD",
+  coinMinimalDenom: "ubld",
+  coinDecimals: 6,
+};
+
+const IST_CURRENCY = {
+  coinDenom: "IST",
+  coinMinimalDenom: "uist",
+  coinDecimals: 6,
+};
+
+/**
+ * @typedef {Object} WalletAdapter
+ * @property {string} type - One of WALLET_TYPES
+ * @property {string} name - Display name
+ * @property {() => boolean} isAvailable - Whether the extension is installed
+ * @property {(networkConfigHref: string) => Promise<void>} suggestChain
+ * @property {(chainId: string) => Promise<void>} enable
+ * @property {(chainId: string) => Promise<boolean>} isEnabled - Whether this origin is approved and the wallet unlocked, without waiting on a prompt
+ * @property {(chainId: string) => Object} getOfflineSigner - cosmjs OfflineSigner
+ * @property {(chainId: string, signer: string, signDoc: Object) => Promise<{ signed: Object, signature: Object }>} signAmino
+ * @property {(chainId: string, signer: string, data: string) => Promise<{ signed: Object, signature: Object }>} signArbitrary - ADR-036
+ * @property {string | null} keystoreChangeEvent - window event fired when the user switches accounts
+ */
+
+// An approved, unlocked wallet returns the key well within this; a
+// slower answer means it is showing a popup
+const ENABLED_CHECK_TIMEOUT_MS = 1000;
+
+/**
+ * Make an adapter for a Keplr-compatible provider
+ *
+ * @param {string} type - One of WALLET_TYPES
+ * @param {string} name - Display name
+ * @param {() => Object | undefined} getProvider - Reads the injected provider
+ * @param {string} keystoreChangeEvent - window event for account switches
+ * @returns {WalletAdapter}
+ */
+function makeKeplrCompatibleAdapter(
+  type,
+  name,
+  getProvider,
+  keystoreChangeEvent
+) {
+  const provider = () => {
+    const injected = getProvider();
+    if (!injected) {
+      throw {
+        code:
+          type === WALLET_TYPES.KEPLR
+            ? WALLET_ERRORS.KEPLR_NOT_INSTALLED
+            : WALLET_ERRORS.WALLET_NOT_INSTALLED,
+        message: `${name} wallet extension not found`,
+      };
+    }
+    return injected;
+  };
+
+  const signAmino = (chainId, signer, signDoc) =>
+    provider().signAmino(chainId, signer, signDoc);
+
+  return {
+    type,
+    name,
+    keystoreChangeEvent,
+    isAvailable: () => !!getProvider(),
+    suggestChain: async (networkConfigHref) => {
+      const injected = provider();
+      await injected.experimentalSuggestChain(
+        await fetchChainInfo(networkConfigHref)
+      );
+    },
+    enable: (chainId) => provider().enable(chainId),
+    // None of these wallets can be asked without a possible prompt:
+    // getKey opens the permission or unlock popup when it needs one, so
+    // an answer that does not come at once counts as not enabled
+    isEnabled: (chainId) =>
+      new Promise((resolve) => {
+        const timeout = setTimeout(
+          () => resolve(false),
+          ENABLED_CHECK_TIMEOUT_MS
+        );
+        Promise.resolve()
+          .then(() => provider().getKey(chainId))
+          .then(
+            () => true,
+            () => false
+          )
+          .then((enabled) => {
+            clearTimeout(timeout);
+            resolve(enabled);
+          });
+      }),
+    getOfflineSigner: (chainId) => provider().getOfflineSigner(chainId),
+    signAmino,
+    // Signed through signAmino so every wallet returns the full sign doc
+    signArbitrary: (chainId, signer, data) =>
+      signAmino(chainId, signer, makeADR036AminoDoc(data, signer)),
+  };
+}
+
+const adapters = {
+  [WALLET_TYPES.KEPLR]: makeKeplrCompatibleAdapter(
+    WALLET_TYPES.KEPLR,
+    "Keplr",
+    () => window.keplr,
+    "keplr_keystorechange"
+  ),
+  [WALLET_TYPES.LEAP]: makeKeplrCompatibleAdapter(
+    WALLET_TYPES.LEAP,
+    "Leap",
+    () => window.leap,
+    "leap_keystorechange"
+  ),
+  [WALLET_TYPES.COSMOSTATION]: makeKeplrCompatibleAdapter(
+    WALLET_TYPES.COSMOSTATION,
+    "Cosmostation",
+    () => window.cosmostation?.providers?.keplr,
+    "cosmostation_keystorechange"
+  ),
+};
+
+/**
+ * Add an adapter that is not a browser extension (see testSigner.js)
+ * @param {WalletAdapter} adapter
+ */
+export function addWalletAdapter(adapter) {
+  adapters[adapter.type] = adapter;
+}
+
+/**
+ * List the wallets installed in this browser, in order of preference
+ * @returns {string[]} Wallet types
+ */
+export function detectWallets() {
+  return Object.values(adapters)
+    .filter((adapter) => adapter.isAvailable())
+    .map((adapter) => adapter.type);
+}
+
+/**
+ * Get the adapter for a wallet type
+ *
+ * Without a type, the first installed wallet is used (Keplr when none is).
+ *
+ * @param {string} [walletType]
+ * @returns {WalletAdapter}
+ */
+export function getWalletAdapter(walletType) {
+  const type = walletType || detectWallets()[0] || WALLET_TYPES.KEPLR;
+  const adapter = adapters[type];
+  if (!adapter) {
+    throw {
+      code: WALLET_ERRORS.UNSUPPORTED_WALLET,
+      message: `Unsupported wallet "${type}". Supported: ${Object.keys(
+        adapters
+      ).join(", ")}`,
+    };
+  }
+  return adapter;
+}
+
+/**
+ * Build Keplr-style chain info from an Agoric network-config
+ *
+ * @param {string} networkConfigHref - e.g. https://main.agoric.net/network-config
+ * @returns {Promise<Object>}
+ */
+async function fetchChainInfo(networkConfigHref) {
+  const response = await fetch(networkConfigHref, {
+    headers: { accept: "application/json" },
+  });
+  if (!response.ok) {
+    throw new Error(
+      `network-config request failed with HTTP ${response.status}`
+    );
+  }
+
+  const { chainName, rpcAddrs, apiAddrs } = await response.json();
+  const rpc = rpcAddrs[0].includes("://")
+    ? rpcAddrs[0]
+    : `http://${rpcAddrs[0]}`;
+  const rest = apiAddrs?.[0] || rpc.replace(/(:\d+)?$/, ":1317");
+  const feeCurrency = {
+    ...BLD_CURRENCY,
+    gasPriceStep: {
+      low: GAS_PRICE.amount,
+      average: GAS_PRICE.amount,
+      high: GAS_PRICE.amount * 2,
+    },
+  };
+
+  return {
+    chainId: chainName,
+    chainName: `Agoric ${chainName}`,
+    rpc,
+    rest,
+    bip44: { coinType: AGORIC_COIN_TYPE },
+    bech32Config: {
+      bech32PrefixAccAddr: "agoric",
+      bech32PrefixAccPub: "agoricpub",
+      bech32PrefixValAddr: "agoricvaloper",
+      bech32PrefixValPub: "agoricvaloperpub",
+      bech32PrefixConsAddr: "agoricvalcons",
+      bech32PrefixConsPub: "agoricvalconspub",
+    },
+    stakeCurrency: BLD_CURRENCY,
+    currencies: [BLD_CURRENCY, IST_CURRENCY],
+    feeCurrencies: [feeCurrency],
+    features: ["stargate", "ibc-transfer"],
+  };
+}
+
+/**
+ * Enable the chain in a wallet and build a signing client on its signer
+ *
+ * @param {WalletAdapter} adapter
+ * @param {Object} params
+ * @param {string} params.chainId
+ * @param {string} params.rpcEndpoint
+ * @param {boolean} [params.enable] - false when the chain is known to be enabled (see isEnabled)
+ * @returns {Promise<{ address: string, client: Object }>} Address and SigningStargateClient
+ */
+export async function connectSigner(
+  adapter,
+  { chainId, rpcEndpoint, enable = true }
+) {
+  if (enable) {
+    await adapter.enable(chainId);
+  }
+
+  const signer = adapter.getOfflineSigner(chainId);
+  const [account] = await signer.getAccounts();
+  const client = await SigningStargateClient.connectWithSigner(
+    rpcEndpoint,
+    signer,
+    {
+      // Bank sends as well as smart-wallet actions
+      registry: new Registry([...defaultRegistryTypes, ...agoricRegistryTypes]),
+      aminoTypes: new AminoTypes({
+        ...createDefaultAminoConverters(),
+        ...agoricConverters,
+      }),
+    }
+  );
+
+  return { address: account.address, client };
+}
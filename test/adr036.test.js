@@ -0,0 +1,108 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { Secp256k1HdWallet } from "@cosmjs/amino";
+import { toBase64, toUtf8 } from "@cosmjs/encoding";
+import {
+  makeADR036AminoDoc,
+  makeADR036Proof,
+  SIGNATURE_ERRORS,
+  verifyADR036Proof,
+} from "../src/adr036.js";
+
+const NONCE = "Sign in to QSTN: nonce 8f2c1e";
+
+// Well-known test mnemonics; never hold funds
+const makeWallet = (mnemonic) =>
+  Secp256k1HdWallet.fromMnemonic(mnemonic, { prefix: "agoric" });
+const signer = await makeWallet(
+  "abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about"
+);
+const other = await makeWallet(
+  "zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo wrong"
+);
+const [{ address }] = await signer.getAccounts();
+const [{ address: otherAddress }] = await other.getAccounts();
+
+// What SIGN_DATA returns: the wallet signs the ADR-036 doc over Amino
+async function signProof(wallet, walletAddress, data) {
+  const signResponse = await wallet.signAmino(
+    walletAddress,
+    makeADR036AminoDoc(data, walletAddress)
+  );
+  return makeADR036Proof({ chainId: "agoric-3", signResponse });
+}
+
+const proof = await signProof(signer, address, NONCE);
+
+test("a signed proof verifies, also against the expected signer and data", async () => {
+  assert.equal(proof.signer, address);
+  assert.equal(proof.data, toBase64(toUtf8(NONCE)));
+  assert.deepEqual(await verifyADR036Proof(proof), {
+    valid: true,
+    signer: address,
+  });
+  assert.deepEqual(await verifyADR036Proof(proof, { address, data: NONCE }), {
+    valid: true,
+    signer: address,
+  });
+});
+
+test("tampered data fails the signature check", async () => {
+  const tampered = { ...proof, data: toBase64(toUtf8(`${NONCE}!`)) };
+  const result = await verifyADR036Proof(tampered);
+  assert.equal(result.valid, false);
+  assert.equal(result.code, SIGNATURE_ERRORS.INVALID_SIGNATURE);
+
+  const expected = await verifyADR036Proof(proof, { data: "another nonce" });
+  assert.equal(expected.code, SIGNATURE_ERRORS.DATA_MISMATCH);
+});
+
+test("a proof from another signer is refused", async () => {
+  const result = await verifyADR036Proof(proof, { address: otherAddress });
+  assert.equal(result.valid, false);
+  assert.equal(result.code, SIGNATURE_ERRORS.ADDRESS_MISMATCH);
+
+  // Signed by the other key but claiming our address
+  const forged = {
+    ...(await signProof(other, otherAddress, NONCE)),
+    signer: address,
+  };
+  assert.equal(
+    (await verifyADR036Proof(forged)).code,
+    SIGNATURE_ERRORS.PUBKEY_MISMATCH
+  );
+});
+
+test("a pubKey that does not belong to the signer is refused", async () => {
+  const { pubKey } = await signProof(other, otherAddress, NONCE);
+  const result = await verifyADR036Proof({ ...proof, pubKey });
+  assert.equal(result.valid, false);
+  assert.equal(result.code, SIGNATURE_ERRORS.PUBKEY_MISMATCH);
+});
+
+test("non-canonical base64 is refused before verifying", async () => {
+  // A 64-byte signature ends in "==": the last data character has four
+  // unused bits, and setting one gives the same bytes in other base64
+  const { signature } = proof;
+  const last = signature.at(-3);
+  const alphabet =
+    "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+  const variant = alphabet[alphabet.indexOf(last) ^ 1];
+  const cases = [
+    { signature: `${signature.slice(0, -3)}${variant}==` },
+    { signature: signature.replace(/=+$/, "") },
+    { data: ` ${proof.data}` },
+    { pubKey: `${proof.pubKey}\n` },
+  ];
+
+  for (const override of cases) {
+    const result = await verifyADR036Proof({ ...proof, ...override });
+    assert.equal(result.valid, false);
+    assert.equal(result.code, SIGNATURE_ERRORS.INVALID_PROOF);
+  }
+});
+
+test("proofs of another version are refused", async () => {
+  const result = await verifyADR036Proof({ ...proof, version: 2 });
+  assert.equal(result.code, SIGNATURE_ERRORS.UNSUPPORTED_PROOF_VERSION);
+});
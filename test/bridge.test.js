@@ -0,0 +1,84 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+// The bridge only touches window.parent and window.addEventListener
+const posted = [];
+const parent = {
+  postMessage: (message, targetOrigin) =>
+    posted.push({ message, targetOrigin }),
+};
+let dispatch = null;
+globalThis.window = {
+  parent,
+  addEventListener: (type, listener) => {
+    dispatch = listener;
+  },
+};
+
+const { isAllowedOrigin, getPinnedOrigin, listenToParent } = await import(
+  "../src/bridge.js"
+);
+const { BRIDGE_ERRORS, BRIDGE_MESSAGES } = await import("../src/protocol.js");
+
+const commands = [];
+listenToParent((message) => commands.push(message));
+
+const PARENT_ORIGIN = "http://localhost:3000";
+
+function send(origin, data, source = parent) {
+  posted.length = 0;
+  dispatch({ origin, data, source, ports: [] });
+  return posted;
+}
+
+test("allows only the default origins without a build-time list", () => {
+  assert.equal(isAllowedOrigin("https://qstn.us"), true);
+  assert.equal(isAllowedOrigin(PARENT_ORIGIN), true);
+  assert.equal(isAllowedOrigin("https://evil.example"), false);
+});
+
+test("production builds do not trust localhost by default", async () => {
+  process.env.NODE_ENV = "production";
+  try {
+    // A fresh module instance reads NODE_ENV again
+    const production = await import("../src/bridge.js?production");
+    assert.equal(production.isAllowedOrigin("https://qstn.us"), true);
+    assert.equal(production.isAllowedOrigin(PARENT_ORIGIN), false);
+  } finally {
+    delete process.env.NODE_ENV;
+  }
+});
+
+test("rejects a sender whose origin is not allowed", () => {
+  const source = { postMessage: (message) => posted.push({ message }) };
+  send("https://evil.example", { type: "GET_STATUS", id: "1" }, parent);
+  assert.equal(posted[0].message.error.code, BRIDGE_ERRORS.ORIGIN_NOT_ALLOWED);
+  assert.equal(posted[0].targetOrigin, "https://evil.example");
+
+  // Messages from other windows are ignored outright
+  send(PARENT_ORIGIN, { type: "GET_STATUS", id: "2" }, source);
+  assert.equal(posted.length, 0);
+  assert.equal(commands.length, 0);
+});
+
+test("requires the handshake before commands", () => {
+  send(PARENT_ORIGIN, { type: "GET_STATUS", id: "3" });
+  assert.equal(posted[0].message.error.code, BRIDGE_ERRORS.HANDSHAKE_REQUIRED);
+  assert.equal(commands.length, 0);
+});
+
+test("pins the origin of the handshake and forwards its commands", () => {
+  send(PARENT_ORIGIN, { type: BRIDGE_MESSAGES.HANDSHAKE, id: "4" });
+  assert.equal(getPinnedOrigin(), PARENT_ORIGIN);
+  assert.equal(posted[0].message.type, BRIDGE_MESSAGES.HANDSHAKE_ACK);
+  assert.equal(posted[0].targetOrigin, PARENT_ORIGIN);
+
+  send(PARENT_ORIGIN, { type: "GET_STATUS", id: "5" });
+  assert.deepEqual(commands, [{ type: "GET_STATUS", id: "5" }]);
+});
+
+test("refuses a second allowed origin once paired", () => {
+  send("https://qstn.us", { type: BRIDGE_MESSAGES.HANDSHAKE, id: "6" });
+  assert.equal(posted[0].message.error.code, BRIDGE_ERRORS.ORIGIN_NOT_ALLOWED);
+  assert.equal(getPinnedOrigin(), PARENT_ORIGIN);
+});
@@ -0,0 +1,119 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  CUSTOM_NETWORK,
+  DEFAULT_CONTRACT,
+  getConfig,
+  getContractNames,
+  getInitialNetwork,
+  getInvitationMakers,
+  getNetworkNames,
+  NETWORK_ERRORS,
+  registerNetwork,
+} from "../src/networks.js";
+
+const LOCAL = {
+  chainId: "agoriclocal",
+  rpcEndpoint: "http://localhost:26657/",
+  restEndpoint: ["http://localhost:1317", "http://localhost:1318"],
+  networkConfigHref: "http://localhost:8000/network-config",
+};
+
+test("getConfig rejects unknown names, including Object.prototype keys", () => {
+  assert.equal(getConfig("mainnet").CHAIN_ID, "agoric-3");
+  for (const name of ["nope", "toString", "constructor", "__proto__"]) {
+    assert.throws(() => getConfig(name), {
+      code: NETWORK_ERRORS.UNKNOWN_NETWORK,
+    });
+  }
+});
+
+test("registerNetwork refuses to redefine a built-in network", () => {
+  assert.throws(() => registerNetwork({ ...LOCAL, name: "mainnet" }), {
+    code: NETWORK_ERRORS.INVALID_NETWORK_CONFIG,
+  });
+});
+
+test("registerNetwork accepts names that shadow Object.prototype", () => {
+  const { config } = registerNetwork({ ...LOCAL, name: "constructor" });
+  assert.equal(getConfig("constructor"), config);
+  assert.ok(getNetworkNames().includes("constructor"));
+});
+
+test("registerNetwork normalizes endpoints and contract names", () => {
+  const { config } = registerNetwork({
+    ...LOCAL,
+    name: "staging",
+    contract: { instanceName: "QstnContractV2" },
+  });
+  assert.deepEqual(config.RPC_ENDPOINTS, ["http://localhost:26657"]);
+  assert.equal(config.REST_ENDPOINTS.length, 2);
+  assert.deepEqual(getContractNames("staging"), {
+    ...DEFAULT_CONTRACT,
+    instanceName: "QstnContractV2",
+  });
+});
+
+test("registerNetwork rejects malformed endpoints", () => {
+  assert.throws(
+    () => registerNetwork({ ...LOCAL, name: "bad", rpcEndpoint: "ftp://x" }),
+    { code: NETWORK_ERRORS.INVALID_NETWORK_CONFIG }
+  );
+  assert.throws(
+    () => registerNetwork({ ...LOCAL, name: "bad", restEndpoint: [] }),
+    { code: NETWORK_ERRORS.INVALID_NETWORK_CONFIG }
+  );
+});
+
+test("getInitialNetwork registers a network from query parameters", () => {
+  const params = new URLSearchParams({
+    network: "ci",
+    chainId: "agoriclocal",
+    rpc: "http://rpc-a:26657,http://rpc-b:26657",
+    rest: "http://rest:1317",
+    networkConfig: "http://rest/network-config",
+  });
+  assert.equal(getInitialNetwork(params), "ci");
+  assert.equal(getConfig("ci").RPC_ENDPOINTS.length, 2);
+  assert.equal(getInitialNetwork(new URLSearchParams(), "local"), "local");
+  assert.throws(
+    () => getInitialNetwork(new URLSearchParams({ network: "valueOf" })),
+    { code: NETWORK_ERRORS.UNKNOWN_NETWORK }
+  );
+});
+
+test("registered networks cannot widen the invitation-maker allowlist", () => {
+  const { config } = registerNetwork({
+    ...LOCAL,
+    name: "makers",
+    invitationMakers: ["makeWithdrawInvitation"],
+  });
+  assert.equal(config.INVITATION_MAKERS, undefined);
+  assert.deepEqual(getInvitationMakers("makers"), [
+    "makeTransactionInvitation",
+  ]);
+  assert.deepEqual(getInvitationMakers("mainnet"), [
+    "makeTransactionInvitation",
+  ]);
+});
+
+test("getInitialNetwork registers unnamed endpoints apart from the fallback", () => {
+  // ?testSigner&rpc=...&rest=... starts on "local" without naming it
+  const params = new URLSearchParams({
+    testSigner: "",
+    rpc: "http://mock:26657",
+    rest: "http://mock:1317",
+  });
+  assert.equal(getInitialNetwork(params, "local"), CUSTOM_NETWORK);
+  const config = getConfig(CUSTOM_NETWORK);
+  assert.equal(config.CHAIN_ID, "agoriclocal");
+  assert.deepEqual(config.RPC_ENDPOINTS, ["http://mock:26657"]);
+  assert.deepEqual(config.REST_ENDPOINTS, ["http://mock:1317"]);
+  assert.equal(
+    config.NETWORK_CONFIG_HREF,
+    getConfig("local").NETWORK_CONFIG_HREF
+  );
+  assert.deepEqual(getConfig("local").RPC_ENDPOINTS, [
+    "http://localhost:26657",
+  ]);
+});
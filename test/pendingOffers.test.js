@@ -0,0 +1,225 @@
+import "../src/installLockdownSES.js";
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+const STORAGE_KEY = "agoric-sandbox:offers";
+const ADDRESS = "agoric1resume";
+const REST = ["http://rest.test"];
+
+// localStorage holding offers from an "earlier page load"
+const storage = new Map();
+globalThis.window = {
+  localStorage: {
+    getItem: (key) => storage.get(key) ?? null,
+    setItem: (key, value) => storage.set(key, value),
+  },
+};
+
+const capData = (value) =>
+  JSON.stringify({ body: `#${JSON.stringify(value)}`, slots: [] });
+
+// Chain state served over REST: transactions and wallet stream cells
+const chain = { txs: [], cells: {} };
+globalThis.fetch = async (url, { headers = {} } = {}) => {
+  const { pathname } = new URL(url);
+  if (pathname === "/cosmos/tx/v1beta1/txs") {
+    return Response.json({ tx_responses: chain.txs });
+  }
+  const height = headers["x-cosmos-block-height"] || "latest";
+  const cell = chain.cells[height];
+  return cell
+    ? Response.json({ value: JSON.stringify(cell) })
+    : new Response("{}", { status: 404 });
+};
+
+function makeTx(offerId, { height = 105, code = 0 } = {}) {
+  return {
+    txhash: `TX${offerId}`,
+    height: String(height),
+    code,
+    raw_log: code ? "insufficient funds" : "",
+    tx: {
+      body: {
+        messages: [
+          {
+            spend_action: capData({
+              method: "executeOffer",
+              offer: { id: offerId },
+            }),
+          },
+        ],
+      },
+    },
+  };
+}
+
+function makeWatcher() {
+  const listeners = {};
+  return {
+    listeners,
+    watchLatest: ([, path], onUpdate) => {
+      listeners[path] = onUpdate;
+      return () => delete listeners[path];
+    },
+  };
+}
+
+// Resumes offers and releases their watchers and expiry timers afterwards
+function resume(t, watcher) {
+  const subscriptions = resumePendingOffers({
+    watcher,
+    network: "local",
+    restEndpoints: REST,
+  });
+  t.after(() => subscriptions.forEach((unsubscribe) => unsubscribe()));
+  return subscriptions;
+}
+
+function seed(offerIds, overrides = {}) {
+  const records = Object.fromEntries(
+    offerIds.map((offerId) => [
+      String(offerId),
+      {
+        offerId,
+        surveyId: `survey-${offerId}`,
+        surveyIds: [`survey-${offerId}`],
+        address: ADDRESS,
+        network: "local",
+        status: "pending",
+        seated: true,
+        fromHeight: 100,
+        tx: null,
+        error: null,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        ...overrides,
+      },
+    ])
+  );
+  storage.set(STORAGE_KEY, JSON.stringify(records));
+}
+
+async function settled(getOffer, offerId, tries = 100) {
+  for (let i = 0; i < tries; i += 1) {
+    const record = getOffer({ offerId });
+    if (record.status !== "pending") {
+      return record;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  return getOffer({ offerId });
+}
+
+const { getOffer, recordOffer, resumePendingOffers, OFFER_STATUS } =
+  await import("../src/pendingOffers.js");
+
+test("a used offer is settled from its published status, not assumed accepted", async (t) => {
+  seed([1001]);
+  chain.txs = [makeTx(1001)];
+  chain.cells = {
+    // The latest cell belongs to a later offer...
+    latest: {
+      blockHeight: "120",
+      values: [
+        capData({
+          updated: "offerStatus",
+          status: { id: 2002, numWantsSatisfied: 1 },
+        }),
+      ],
+    },
+    // ...the refund of 1001 is one cell further back
+    119: {
+      blockHeight: "106",
+      values: [
+        capData({ updated: "offerStatus", status: { id: 1001 } }),
+        capData({
+          updated: "offerStatus",
+          status: { id: 1001, numWantsSatisfied: 0 },
+        }),
+      ],
+    },
+  };
+
+  const watcher = makeWatcher();
+  resume(t, watcher);
+  watcher.listeners[`published.wallet.${ADDRESS}.current`]({
+    liveOffers: [],
+    offerToUsedInvitation: [[1001, {}]],
+  });
+
+  const record = await settled(getOffer, 1001);
+  assert.equal(record.status, OFFER_STATUS.REFUNDED);
+  assert.deepEqual(record.tx, { txHash: "TX1001", height: 105 });
+});
+
+test("a failed spend action settles the offer as an error", async (t) => {
+  seed([1002]);
+  chain.txs = [makeTx(1002, { code: 5 })];
+  chain.cells = {};
+
+  const watcher = makeWatcher();
+  resume(t, watcher);
+  watcher.listeners[`published.wallet.${ADDRESS}.current`]({
+    liveOffers: [],
+    offerToUsedInvitation: [[1002, {}]],
+  });
+
+  const record = await settled(getOffer, 1002);
+  assert.equal(record.status, OFFER_STATUS.ERROR);
+  assert.equal(record.error, "insufficient funds");
+});
+
+test("a live offerStatus update settles a resumed offer", (t) => {
+  seed([1003]);
+  const watcher = makeWatcher();
+  resume(t, watcher);
+  watcher.listeners[`published.wallet.${ADDRESS}`]({
+    updated: "offerStatus",
+    status: { id: 1003, error: "Error: no such invitation" },
+  });
+
+  const record = getOffer({ offerId: 1003 });
+  assert.equal(record.status, OFFER_STATUS.ERROR);
+  assert.equal(record.error, "Error: no such invitation");
+});
+
+test("offers made in this page load are not resumed", (t) => {
+  storage.clear();
+  recordOffer({
+    offerId: 1004,
+    surveyId: "survey-1004",
+    address: ADDRESS,
+    network: "local",
+    fromHeight: 100,
+  });
+
+  const watcher = makeWatcher();
+  assert.equal(resume(t, watcher).length, 0);
+});
+
+test("an expired offer never seen on chain fails when resumed", async (t) => {
+  storage.clear();
+  seed([1005], { seated: false, createdAt: Date.now() - 11 * 60 * 1000 });
+  chain.txs = [];
+
+  // No wallet record ever arrives for the address
+  resume(t, makeWatcher());
+
+  const record = await settled(getOffer, 1005, 500);
+  assert.equal(record.status, OFFER_STATUS.ERROR);
+  assert.equal(record.error, "Offer was never seen on chain");
+});
+
+test("an expired offer with a transaction is settled from it", async (t) => {
+  storage.clear();
+  seed([1006], { seated: false, createdAt: Date.now() - 11 * 60 * 1000 });
+  chain.txs = [makeTx(1006, { code: 5 })];
+
+  resume(t, makeWatcher());
+
+  const record = await settled(getOffer, 1006);
+  assert.equal(record.status, OFFER_STATUS.ERROR);
+  assert.equal(record.error, "insufficient funds");
+  assert.deepEqual(record.tx, { txHash: "TX1006", height: 105 });
+});
@@ -0,0 +1,106 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { setVbankAssets } from "../src/assets.js";
+import {
+  addKeywordRecords,
+  describeAmounts,
+  PROPOSAL_ERRORS,
+  resolveProposal,
+  sumByDenom,
+} from "../src/proposals.js";
+import { VALIDATION_ERRORS } from "../src/validation.js";
+
+// Stand-ins for the brand presences agoricNames publishes
+const brands = { BLD: { name: "BLD" }, IST: { name: "IST" } };
+setVbankAssets([
+  [
+    "ubld",
+    { issuerName: "BLD", brand: brands.BLD, displayInfo: { decimalPlaces: 6 } },
+  ],
+  [
+    "uist",
+    { issuerName: "IST", brand: brands.IST, displayInfo: { decimalPlaces: 6 } },
+  ],
+]);
+
+test("resolves give and want through the vbank assets", () => {
+  const { give, want } = resolveProposal({
+    give: { Deposit: { denom: "uist", displayValue: "1.5" } },
+    want: { Reward: { denom: "ubld", value: "20" } },
+  });
+  assert.equal(give.Deposit.brand, brands.IST);
+  assert.equal(give.Deposit.value, BigInt(1500000));
+  assert.deepEqual(describeAmounts(want), {
+    Reward: { denom: "ubld", brand: "BLD", value: "20", formatted: "0.00002" },
+  });
+});
+
+test("reads the older denom/totalAmount form as give.Deposit", () => {
+  const { give, want } = resolveProposal({
+    denom: "ubld",
+    totalAmount: "1000000",
+  });
+  assert.deepEqual(Object.keys(give), ["Deposit"]);
+  assert.equal(give.Deposit.value, BigInt(1000000));
+  assert.deepEqual(want, {});
+});
+
+test("rejects null, arrays and empty proposals as INVALID_PROPOSAL", () => {
+  const deposit = { Deposit: { denom: "ubld", value: "1" } };
+  for (const params of [
+    { give: null, want: deposit },
+    { give: deposit, want: null },
+    { give: [], want: deposit },
+    { give: {}, want: {} },
+    { give: { deposit: { denom: "ubld", value: "1" } } },
+    { give: { Deposit: null } },
+  ]) {
+    assert.throws(() => resolveProposal(params), {
+      code: PROPOSAL_ERRORS.INVALID_PROPOSAL,
+    });
+  }
+});
+
+test("rejects unknown denoms and malformed amounts", () => {
+  assert.throws(
+    () =>
+      resolveProposal({ give: { Deposit: { denom: "uatom", value: "1" } } }),
+    { code: PROPOSAL_ERRORS.INVALID_BRAND }
+  );
+  assert.throws(
+    () =>
+      resolveProposal({
+        give: { Deposit: { denom: "ubld", displayValue: "0.0000001" } },
+      }),
+    { code: VALIDATION_ERRORS.INVALID_AMOUNT }
+  );
+});
+
+test("adds batched records per keyword and totals them per denom", () => {
+  const one = resolveProposal({
+    give: { Deposit: { denom: "ubld", value: "5" } },
+  }).give;
+  const two = resolveProposal({
+    give: {
+      Deposit: { denom: "ubld", value: "7" },
+      Fee: { denom: "uist", value: "1" },
+    },
+  }).give;
+
+  const total = addKeywordRecords(one, two);
+  assert.equal(total.Deposit.value, BigInt(12));
+  assert.deepEqual(
+    sumByDenom(total),
+    new Map([
+      ["ubld", BigInt(12)],
+      ["uist", BigInt(1)],
+    ])
+  );
+
+  const clash = resolveProposal({
+    give: { Deposit: { denom: "uist", value: "1" } },
+  }).give;
+  assert.throws(() => addKeywordRecords(one, clash), {
+    code: PROPOSAL_ERRORS.INVALID_PROPOSAL,
+  });
+});
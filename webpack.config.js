@@ -1,4 +1,5 @@
 const path = require('path');
+const webpack = require('webpack');
 const HtmlWebpackPlugin = require('html-webpack-plugin');
 const fs = require('fs');
 const CopyPlugin = require('copy-webpack-plugin');
@@ -46,30 +47,44 @@ class InlineScriptPlugin {
   }
 }
 
-module.exports = {
+// Babel rule shared by the sandbox and the client bundle
+const babelRule = {
+  test: /\.js$/,
+  exclude: /node_modules/,
+  use: {
+    loader: 'babel-loader',
+    options: {
+      presets: ['@babel/preset-env'],
+    },
+  },
+};
+
+const sandboxConfig = {
   entry: './src/index.js',
   output: {
     path: path.resolve(__dirname, 'dist'),
     filename: 'agoric-sandbox.[contenthash].js',
     // Use relative path for local dev, will work with jsDelivr too
     publicPath: './',
-    clean: true,
+    // Don't wipe the client and verifier bundles built alongside
+    clean: { keep: /agoric-sandbox-client|agoric-adr036/ },
   },
   module: {
-    rules: [
-      {
-        test: /\.js$/,
-        exclude: /node_modules/,
-        use: {
-          loader: 'babel-loader',
-          options: {
-            presets: ['@babel/preset-env'],
-          },
-        },
-      },
-    ],
+    rules: [babelRule],
   },
   plugins: [
+    // Trusted parent origins, comma-separated (see src/bridge.js)
+    new webpack.DefinePlugin({
+      'process.env.SANDBOX_VERSION': JSON.stringify(
+        require('./package.json').version
+      ),
+      'process.env.AGORIC_ALLOWED_ORIGINS': JSON.stringify(
+        process.env.AGORIC_ALLOWED_ORIGINS || ''
+      ),
+      'process.env.AGORIC_INVITATION_MAKERS': JSON.stringify(
+        process.env.AGORIC_INVITATION_MAKERS || ''
+      ),
+    }),
     new HtmlWebpackPlugin({
       template: './public/template.html',
       filename: 'agoric-sandbox.html',
@@ -109,3 +124,57 @@ module.exports = {
     maxEntrypointSize: 5000000,
   },
 };
+
+// Parent-side client (src/client.js), published next to the iframe bundle
+const clientConfig = {
+  entry: './src/client.js',
+  output: {
+    path: path.resolve(__dirname, 'dist'),
+    filename: 'agoric-sandbox-client.js',
+    library: {
+      name: 'AgoricSandboxClient',
+      type: 'umd',
+    },
+    globalObject: 'this',
+  },
+  module: {
+    rules: [babelRule],
+  },
+};
+
+// Offline ADR-036 proof verifier (src/adr036.js) for backends and tests
+const verifierConfig = {
+  entry: './src/adr036.js',
+  output: {
+    path: path.resolve(__dirname, 'dist'),
+    filename: 'agoric-adr036.js',
+    library: {
+      name: 'AgoricADR036',
+      type: 'umd',
+    },
+    globalObject: 'this',
+  },
+  module: {
+    rules: [babelRule],
+  },
+};
+
+module.exports = (env, argv) => {
+  // The test signer (src/testSigner.js) is for development builds only
+  const isDevelopment = argv.mode === 'development';
+  if (process.env.AGORIC_TEST_SIGNER === 'true' && !isDevelopment) {
+    throw new Error('AGORIC_TEST_SIGNER cannot be enabled in production builds');
+  }
+  sandboxConfig.plugins.push(
+    new webpack.DefinePlugin({
+      'process.env.AGORIC_TEST_SIGNER': JSON.stringify(
+        isDevelopment ? process.env.AGORIC_TEST_SIGNER || '' : ''
+      ),
+      'process.env.AGORIC_TEST_MNEMONIC': JSON.stringify(
+        isDevelopment ? process.env.AGORIC_TEST_MNEMONIC || '' : ''
+      ),
+    })
+  );
+
+  return [sandboxConfig, clientConfig, verifierConfig];
+};